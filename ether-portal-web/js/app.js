@@ -7,12 +7,55 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 class EtherPortal {
+  static MESSAGE_PREVIEW_LENGTH = 2000; // Longer chat messages are cut until expanded
+  static HISTORY_PAGE_SIZE = 50;
+  static COMPACT_SUGGEST_PERCENT = 75; // Context usage at which compacting is suggested
+
   constructor() {
     this.currentTab = 'dashboard';
     this.jobs = [];
     this.sessions = [];
     this.activityLog = [];
     this.sessionKey = null; // Will be auto-detected
+    this.chatStreams = new Map(); // Assistant replies currently streaming in, by message id
+    this.messageSources = new WeakMap(); // Chat message element -> its original text
+    this.chatHistory = new ChatHistoryCache();
+    this.unseenChatMessages = 0; // Arrived while scrolled up, shown on the jump button
+    this.chatToolCalls = new Map(); // Tool call id -> record, for the session on screen
+    this.chatAttachments = new ChatAttachments();
+    this.sendingMessage = false; // An attachment upload is in flight
+    this.transcriptSearch = new TranscriptSearch();
+    this.serverSearch = null; // Whether the gateway answers sessions.search; null until tried
+    this.sessionExport = null; // { sessionKey } for one session, { sessions } for a bulk export
+    this.transcriptFormat = 'markdown'; // 'markdown', 'json' or 'html'
+    this.typingTimeout = null;
+    this.gatewayUnsubscribers = [];
+    this.loadControllers = new Map(); // In-flight list/history loads, by kind
+    this.staleTabs = new Set(); // Tabs whose load was cancelled and need a reload
+    this.protocolRenderPending = false;
+    this.expandedFrames = new Set(); // Protocol inspector entries showing their JSON
+    this.qualityRenderPending = false;
+    this.lastQuality = 'unknown';
+    this.editingJobId = null; // Job open in the editor, null when creating one
+    this.editorBaseJob = null; // Definition of the job being edited or duplicated - fields the form doesn't show are kept
+    this.modelOptions = null; // Model ids for the job editor, loaded on first use
+    this.jobRuns = new JobRunHistory();
+    this.detailJobId = null; // Job whose run history is open
+    this.jobsView = 'list'; // 'list' or 'timeline'
+    this.timelineRange = '24h';
+    this.timelineZone = 'local'; // 'local' or 'gateway'
+    this.selectedJobIds = new Set();
+    this.lastSelectedJobId = null; // Anchor for shift-click ranges
+    this.bulkRunning = false;
+    this.exportScope = 'all'; // 'selected' or 'all'
+    this.exportFormat = 'json'; // 'json' or 'yaml'
+    this.importPlan = null; // { fileName, entries, excluded } while an import preview is open
+    this.jobAlerts = new JobAlerts();
+    this.jobsLoaded = false; // Alerts only run against a job list fetched from this gateway
+    this.jobOutput = new JobLiveOutput();
+    this.liveJobId = null; // Job whose live output is open
+    this.liveRenderPending = false;
+    this.openLiveTools = new Set(); // Tool calls expanded in the live output
     this.refreshInterval = null;
     this.clockInterval = null;
     this.reconnectCountdown = null;
@@ -20,16 +63,32 @@ class EtherPortal {
     this.notificationPermission = 'default';
     this.soundEnabled = true;
     this.darkTheme = true;
+    this.offlineQueueEnabled = false;
+    this.showToolCalls = false;
   }
 
   init() {
     this.bindEvents();
-    this.loadSavedConfig();
+    this.bindGatewayEvents();
+    this.loadProfiles();
     this.startClock();
     this.restoreActivity();
     this.requestNotificationPermission();
     this.loadSettings();
     this.updateVersionDisplay();
+    this.renderDeviceIdentity();
+    this.initVault();
+    requestQueue.subscribe(() => this.renderOutbox());
+    requestQueue.load();
+    this.jobRuns.subscribe((jobId) => {
+      if (jobId === null || jobId === this.detailJobId) this.renderJobDetail();
+    });
+    this.jobAlerts.subscribe(() => this.renderAlerts());
+    this.jobOutput.subscribe((jobId) => {
+      if (jobId === null || jobId === this.liveJobId) this.scheduleLiveRender();
+    });
+    this.jobAlerts.load();
+    this.chatAttachments.subscribe(() => this.renderChatAttachments());
   }
 
   updateVersionDisplay() {
@@ -80,6 +139,12 @@ class EtherPortal {
       const settings = JSON.parse(localStorage.getItem('ether-portal-settings') || '{}');
       this.soundEnabled = settings.soundEnabled ?? true;
       this.darkTheme = settings.darkTheme ?? true;
+      vault.setIdleMinutes(settings.vaultIdleMinutes ?? 15);
+      this.offlineQueueEnabled = settings.offlineQueueEnabled ?? false;
+      document.getElementById('setting-offline-queue').checked = this.offlineQueueEnabled;
+      this.showToolCalls = settings.showToolCalls ?? false;
+      document.getElementById('chat-show-tools').checked = this.showToolCalls;
+      this.jobAlerts.setRules(settings.alertRules);
     } catch (e) {
       console.warn('Failed to load settings:', e);
     }
@@ -88,7 +153,11 @@ class EtherPortal {
   saveSettings() {
     localStorage.setItem('ether-portal-settings', JSON.stringify({
       soundEnabled: this.soundEnabled,
-      darkTheme: this.darkTheme
+      darkTheme: this.darkTheme,
+      vaultIdleMinutes: vault.idleMinutes,
+      offlineQueueEnabled: this.offlineQueueEnabled,
+      showToolCalls: this.showToolCalls,
+      alertRules: this.jobAlerts.rules
     }));
   }
 
@@ -104,6 +173,12 @@ class EtherPortal {
     // Disconnect button
     document.getElementById('disconnect-btn').addEventListener('click', () => this.disconnect());
     
+    // Connection profiles
+    document.getElementById('profile-select').addEventListener('change', (e) => this.selectProfile(e.target.value));
+    document.getElementById('profile-save').addEventListener('click', () => this.saveProfileFromForm());
+    document.getElementById('profile-delete').addEventListener('click', () => this.deleteSelectedProfile());
+    document.getElementById('header-profile-select').addEventListener('change', (e) => this.switchProfile(e.target.value));
+    
     // Tab navigation
     document.querySelectorAll('.tab-btn').forEach(btn => {
       btn.addEventListener('click', (e) => this.switchTab(e.target.dataset.tab));
@@ -120,34 +195,170 @@ class EtherPortal {
       }
     });
     document.getElementById('chat-send').addEventListener('click', () => this.sendMessage());
+    document.getElementById('chat-attach').addEventListener('click', () => document.getElementById('chat-file-input').click());
+    document.getElementById('chat-file-input').accept = ChatAttachments.ACCEPT;
+    document.getElementById('chat-file-input').addEventListener('change', (e) => {
+      this.addChatAttachments(e.target.files);
+      e.target.value = '';
+    });
+    document.getElementById('chat-input').addEventListener('paste', (e) => {
+      const files = [...(e.clipboardData?.files || [])];
+      if (files.length === 0) return;
+      e.preventDefault();
+      this.addChatAttachments(files);
+    });
+    document.getElementById('chat-attachments').addEventListener('click', (e) => {
+      const remove = e.target.closest('.attachment-remove');
+      if (remove && !this.sendingMessage) this.chatAttachments.remove(Number(remove.dataset.id));
+    });
+    const chatContainer = document.querySelector('#tab-chat .chat-container');
+    chatContainer.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer?.types?.includes('Files')) return;
+      e.preventDefault();
+      chatContainer.classList.add('drag-over');
+    });
+    chatContainer.addEventListener('dragleave', (e) => {
+      if (!chatContainer.contains(e.relatedTarget)) chatContainer.classList.remove('drag-over');
+    });
+    chatContainer.addEventListener('drop', (e) => {
+      if (!e.dataTransfer?.files?.length) return;
+      e.preventDefault();
+      chatContainer.classList.remove('drag-over');
+      this.addChatAttachments(e.dataTransfer.files);
+    });
+    document.getElementById('chat-messages').addEventListener('click', (e) => this.onChatMessageClick(e));
+    document.getElementById('chat-messages').addEventListener('scroll', () => this.onChatScroll());
+    document.getElementById('chat-jump-latest').addEventListener('click', () => this.scrollChatToLatest());
+    document.getElementById('chat-show-tools').addEventListener('change', (e) => {
+      this.showToolCalls = e.target.checked;
+      this.saveSettings();
+      // Cached pages were fetched with or without tools - start over
+      this.chatHistory.clear();
+      if (this.sessionKey && gateway.isConnected()) this.loadSessionHistory(this.sessionKey);
+    });
     
     // Refresh buttons
     document.getElementById('refresh-jobs')?.addEventListener('click', () => this.loadJobs());
     document.getElementById('refresh-sessions')?.addEventListener('click', () => this.loadSessions());
+    document.getElementById('transcript-search-btn').addEventListener('click', () => this.searchTranscripts());
+    document.getElementById('transcript-search-input').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.searchTranscripts();
+      if (e.key === 'Escape') this.clearTranscriptSearch();
+    });
+    document.getElementById('transcript-search-input').addEventListener('search', (e) => {
+      if (!e.target.value) this.clearTranscriptSearch();
+    });
+    document.getElementById('export-sessions').addEventListener('click', () => this.openSessionExport());
+    document.getElementById('session-export-close').addEventListener('click', () => this.closeSessionExport());
+    document.getElementById('session-export-cancel').addEventListener('click', () => {
+      if (this.sessionExport?.running) this.loadControllers.get('export')?.abort();
+      else this.closeSessionExport();
+    });
+    document.getElementById('session-export-download').addEventListener('click', () => this.exportTranscripts());
+    document.getElementById('session-export-filter').addEventListener('input', () => this.renderSessionExport());
+    document.getElementById('session-export-kind').addEventListener('change', () => this.renderSessionExport());
+    document.getElementById('session-export-active').addEventListener('change', () => this.loadExportSessions());
+    document.querySelectorAll('#session-export-format button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.transcriptFormat = btn.dataset.format;
+        this.renderSessionExport();
+      });
+    });
+    document.getElementById('transcript-search-rebuild').addEventListener('click', () => this.rebuildSearchIndex());
+    document.getElementById('transcript-search-results').addEventListener('click', (e) => {
+      const result = e.target.closest('.search-result');
+      if (result) this.jumpToMessage(result.dataset.key, { messageId: result.dataset.messageId, timestamp: result.dataset.timestamp });
+    });
     
     // Job filter
     document.getElementById('job-filter')?.addEventListener('input', (e) => this.filterJobs(e.target.value));
     
-    // Clear activity
-    document.getElementById('clear-activity')?.addEventListener('click', () => this.clearActivity());
+    // Job editor
+    document.getElementById('new-job').addEventListener('click', () => this.openJobEditor());
+    document.getElementById('job-editor-close').addEventListener('click', () => this.closeJobEditor());
+    document.getElementById('job-cancel').addEventListener('click', () => this.closeJobEditor());
+    document.getElementById('job-save').addEventListener('click', () => this.saveJob());
+    document.getElementById('job-delete').addEventListener('click', () => this.deleteJob());
+    document.getElementById('job-schedule-kind').addEventListener('change', () => this.updateJobEditorFields());
+    document.getElementById('job-session-target').addEventListener('change', () => this.updateJobEditorFields());
+    document.getElementById('job-cron-expr').addEventListener('input', () => this.renderCronPreview());
+    document.getElementById('job-detail-close').addEventListener('click', () => this.closeJobDetail());
     
-    // Gateway events
-    gateway.on('connected', (data) => this.onConnected(data));
-    gateway.on('disconnected', (data) => this.onDisconnected(data));
-    gateway.on('connecting', (data) => this.onConnecting(data));
-    gateway.on('error', (data) => this.onError(data));
-    gateway.on('challenge_received', () => this.updateConnectionStatus('Authenticating...'));
-    gateway.on('socket_open', () => this.updateConnectionStatus('Handshaking...'));
+    // Live job output
+    document.getElementById('job-live-close').addEventListener('click', () => this.closeJobLive());
+    document.getElementById('job-live-abort').addEventListener('click', () => this.abortJobRun());
+    document.getElementById('job-live-follow').addEventListener('change', (e) => {
+      if (e.target.checked) this.renderJobLive();
+    });
+    document.getElementById('job-live-log').addEventListener('toggle', (e) => {
+      const key = e.target.dataset?.key;
+      if (!key) return;
+      if (e.target.open) this.openLiveTools.add(key);
+      else this.openLiveTools.delete(key);
+    }, true);
     
-    // Real-time events
-    gateway.on('job_started', (data) => this.onJobStarted(data));
-    gateway.on('job_completed', (data) => this.onJobCompleted(data));
-    gateway.on('session_message', (data) => this.onSessionMessage(data));
+    // Bulk job actions
+    document.getElementById('job-select-all').addEventListener('change', (e) => this.selectVisibleJobs(e.target.checked));
+    document.querySelectorAll('#job-bulk-bar [data-bulk]').forEach(btn => {
+      btn.addEventListener('click', () => this.runBulkJobAction(btn.dataset.bulk));
+    });
+    document.getElementById('job-bulk-progress').addEventListener('click', (e) => {
+      if (e.target.closest('.bulk-dismiss')) e.currentTarget.classList.add('hidden');
+    });
     
-    // Reconnection events
-    gateway.on('reconnecting', (data) => this.onReconnecting(data));
-    gateway.on('max_reconnects', () => this.onMaxReconnects());
-    gateway.on('heartbeat_missed', (data) => this.onHeartbeatMissed(data));
+    // Job import/export
+    document.getElementById('export-jobs').addEventListener('click', () => this.openJobExport());
+    document.getElementById('job-export-selected').addEventListener('click', () => this.openJobExport('selected'));
+    document.getElementById('job-export-close').addEventListener('click', () => this.closeJobExport());
+    document.getElementById('job-export-download').addEventListener('click', () => this.downloadJobExport());
+    document.getElementById('job-export-copy').addEventListener('click', () => this.copyJobExport());
+    document.querySelectorAll('#job-export-scope button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.exportScope = btn.dataset.scope;
+        this.renderJobExport();
+      });
+    });
+    document.querySelectorAll('#job-export-format button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.exportFormat = btn.dataset.format;
+        this.renderJobExport();
+      });
+    });
+    document.getElementById('import-jobs').addEventListener('click', () => document.getElementById('job-import-file').click());
+    document.getElementById('job-import-file').addEventListener('change', (e) => this.importJobFile(e.target.files[0]));
+    document.getElementById('job-import-close').addEventListener('click', () => this.closeJobImport());
+    document.getElementById('job-import-cancel').addEventListener('click', () => this.closeJobImport());
+    document.getElementById('job-import-apply').addEventListener('click', () => this.applyJobImport());
+    document.getElementById('job-import-prune').addEventListener('change', () => this.renderJobImport());
+    document.getElementById('job-import-diff').addEventListener('change', (e) => {
+      const checkbox = e.target.closest('.job-import-include');
+      if (!checkbox || !this.importPlan) return;
+      if (checkbox.checked) this.importPlan.excluded.delete(checkbox.dataset.key);
+      else this.importPlan.excluded.add(checkbox.dataset.key);
+      this.renderJobImport();
+    });
+    
+    // Jobs timeline
+    document.querySelectorAll('#jobs-view button').forEach(btn => {
+      btn.addEventListener('click', () => this.setJobsView(btn.dataset.view));
+    });
+    document.querySelectorAll('#timeline-range button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.timelineRange = btn.dataset.range;
+        this.renderTimeline();
+      });
+    });
+    document.querySelectorAll('#timeline-zone button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.timelineZone = btn.dataset.zone;
+        this.renderTimeline();
+      });
+    });
+    document.getElementById('job-detail-refresh').addEventListener('click', () => this.loadJobRuns(this.detailJobId));
+    document.getElementById('job-tz').addEventListener('input', () => this.renderCronPreview());
+    
+    // Clear activity
+    document.getElementById('clear-activity')?.addEventListener('click', () => this.clearActivity());
     
     // Auto-resize chat input
     const chatInput = document.getElementById('chat-input');
@@ -161,6 +372,123 @@ class EtherPortal {
       this.soundEnabled = e.target.checked;
       this.saveSettings();
     });
+    
+    document.getElementById('setting-offline-queue')?.addEventListener('change', (e) => {
+      this.offlineQueueEnabled = e.target.checked;
+      gateway.configure({ offlineQueue: this.offlineQueueEnabled });
+      this.saveSettings();
+    });
+    
+    // Job alerts
+    document.querySelectorAll('.alert-rule input').forEach(input => {
+      input.addEventListener('change', () => this.saveAlertRules());
+    });
+    document.getElementById('clear-resolved-alerts').addEventListener('click', () => {
+      this.jobAlerts.clearResolved(gateway.config.profileId);
+    });
+    document.getElementById('alert-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.alert-item');
+      if (!item) return;
+      if (e.target.closest('.alert-ack')) this.jobAlerts.acknowledge(item.dataset.id);
+      if (e.target.closest('.alert-history')) {
+        this.switchTab('jobs');
+        this.openJobDetail(item.dataset.job);
+      }
+    });
+    document.getElementById('alert-list').addEventListener('change', (e) => {
+      const select = e.target.closest('.alert-snooze');
+      if (select?.value) this.jobAlerts.snooze(select.closest('.alert-item').dataset.id, Number(select.value));
+    });
+    
+    // Protocol inspector
+    document.getElementById('protocol-filter').addEventListener('input', () => this.renderProtocolLog());
+    document.getElementById('protocol-kind').addEventListener('change', () => this.renderProtocolLog());
+    document.getElementById('protocol-pause').addEventListener('click', () => {
+      gateway.traffic.setPaused(!gateway.traffic.paused);
+      this.renderProtocolLog();
+    });
+    document.getElementById('protocol-clear').addEventListener('click', () => {
+      this.expandedFrames.clear();
+      gateway.traffic.clear();
+    });
+    document.getElementById('protocol-export').addEventListener('click', () => this.exportProtocolLog());
+    document.getElementById('protocol-log').addEventListener('click', (e) => {
+      const entry = e.target.closest('.protocol-summary')?.parentElement;
+      if (!entry) return;
+      const seq = Number(entry.dataset.seq);
+      if (!this.expandedFrames.delete(seq)) this.expandedFrames.add(seq);
+      this.renderProtocolLog();
+    });
+    
+    // Credential vault
+    document.getElementById('vault-unlock-btn').addEventListener('click', () => this.unlockVault('vault-unlock-passphrase'));
+    document.getElementById('vault-unlock-passphrase').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.unlockVault('vault-unlock-passphrase');
+    });
+    document.getElementById('vault-enable').addEventListener('click', () => this.enableVault());
+    document.getElementById('vault-unlock-settings').addEventListener('click', () => this.unlockVault('vault-passphrase'));
+    document.getElementById('vault-lock').addEventListener('click', () => vault.lock());
+    document.getElementById('vault-disable').addEventListener('click', () => this.disableVault());
+    document.getElementById('setting-vault-idle').addEventListener('change', (e) => {
+      vault.setIdleMinutes(parseInt(e.target.value) || 0);
+      this.saveSettings();
+    });
+    
+    // Any interaction restarts the vault's idle lock timer
+    let lastTouch = 0;
+    ['click', 'keydown', 'mousemove', 'touchstart'].forEach(type => {
+      document.addEventListener(type, () => {
+        if (Date.now() - lastTouch < 5000) return;
+        lastTouch = Date.now();
+        vault.touch();
+      }, { passive: true });
+    });
+  }
+
+  // Gateway events - rebound whenever the active GatewayClient is replaced
+  bindGatewayEvents() {
+    this.unbindGatewayEvents();
+    const on = (event, handler) => this.gatewayUnsubscribers.push(gateway.on(event, handler));
+    
+    on('connected', (data) => this.onConnected(data));
+    on('disconnected', (data) => this.onDisconnected(data));
+    on('connecting', (data) => this.onConnecting(data));
+    on('error', (data) => this.onError(data));
+    on('challenge_received', () => this.updateConnectionStatus('Authenticating...'));
+    on('socket_open', () => this.updateConnectionStatus('Handshaking...'));
+    
+    // Real-time events
+    on('job_started', (data) => this.onJobStarted(data));
+    on('job_completed', (data) => this.onJobCompleted(data));
+    on('session_message', (data) => this.onSessionMessage(data));
+    on('session_delta', (data) => this.onSessionDelta(data));
+    on('replay_start', (data) => this.onReplayStart(data));
+    on('resync', (data) => this.onResync(data));
+    // Raw gateway events (dotted names) feed the live output of running jobs
+    on('*', ({ event, data }) => {
+      if (event.includes('.')) this.jobOutput.handleEvent(event, data);
+    });
+    
+    // Reconnection events
+    on('reconnecting', (data) => this.onReconnecting(data));
+    on('max_reconnects', (data) => this.onMaxReconnects(data));
+    on('waiting_for_network', () => this.onWaitingForNetwork());
+    on('reconnect_now', (data) => this.addActivity(`${data.reason} - reconnecting now`, 'info'));
+    on('heartbeat_missed', (data) => this.onHeartbeatMissed(data));
+    
+    // Offline queue
+    on('queued', () => this.renderOutbox());
+    on('queue_sent', (data) => this.addActivity(`Sent queued action: ${this.describeQueuedAction(data.item)}`, 'success'));
+    on('queue_failed', (data) => this.addActivity(`Queued action failed: ${this.describeQueuedAction(data.item)} (${data.error})`, 'error'));
+    
+    // Protocol inspector and connection quality
+    this.gatewayUnsubscribers.push(gateway.traffic.subscribe(() => this.scheduleProtocolRender()));
+    this.gatewayUnsubscribers.push(gateway.metrics.subscribe(() => this.onMetricsUpdate()));
+  }
+
+  unbindGatewayEvents() {
+    this.gatewayUnsubscribers.forEach(off => off());
+    this.gatewayUnsubscribers = [];
   }
 
   handleKeyboard(e) {
@@ -194,27 +522,393 @@ class EtherPortal {
     }
   }
 
-  loadSavedConfig() {
-    const saved = localStorage.getItem('ether-portal-config');
-    if (saved) {
+  // Connection profiles
+  loadProfiles() {
+    const profile = profiles.getDefault();
+    this.renderProfileSelects(profile?.id || '');
+    this.fillProfileForm(profile);
+  }
+
+  renderProfileSelects(selectedId) {
+    const options = profiles.profiles.map(p => {
+      const label = p.id === profiles.defaultId ? `${p.name} ★` : p.name;
+      return `<option value="${this.escapeHtml(p.id)}">${this.escapeHtml(label)}</option>`;
+    }).join('');
+    
+    const select = document.getElementById('profile-select');
+    select.innerHTML = `${options}<option value="">➕ New profile</option>`;
+    select.value = selectedId;
+    
+    const headerSelect = document.getElementById('header-profile-select');
+    headerSelect.innerHTML = options;
+    headerSelect.value = profiles.activeId || '';
+    headerSelect.classList.toggle('hidden', profiles.profiles.length < 2);
+    
+    document.getElementById('profile-delete').disabled = !selectedId;
+  }
+
+  fillProfileForm(profile) {
+    document.getElementById('profile-name').value = profile?.name || '';
+    document.getElementById('host').value = profile?.host || '';
+    document.getElementById('port').value = profile?.port || 18789;
+    document.getElementById('token').value = profile ? profiles.getToken(profile.id) : '';
+    document.getElementById('token').placeholder = vault.isLocked()
+      ? '🔒 Unlock the vault to use the saved token'
+      : 'Leave empty if no token required';
+    document.getElementById('use-tls').checked = profile?.useTls ?? false;
+    document.getElementById('auto-reconnect').checked = profile?.autoReconnect ?? true;
+    document.getElementById('max-reconnect-attempts').value = profile?.maxReconnectAttempts || 10;
+    document.getElementById('keep-trying-seconds').value = profile?.keepTryingSeconds || 60;
+    document.getElementById('keep-trying').checked = profile?.keepTrying ?? true;
+    document.getElementById('reconnect-jitter').checked = profile?.reconnectJitter ?? true;
+    document.getElementById('reconnect-on-network').checked = profile?.reconnectOnNetwork ?? true;
+    document.getElementById('reconnect-on-focus').checked = profile?.reconnectOnFocus ?? true;
+    document.getElementById('profile-default').checked = !!profile && profile.id === profiles.defaultId;
+  }
+
+  readProfileForm() {
+    return {
+      name: document.getElementById('profile-name').value,
+      host: document.getElementById('host').value,
+      port: document.getElementById('port').value,
+      token: document.getElementById('token').value,
+      useTls: document.getElementById('use-tls').checked,
+      autoReconnect: document.getElementById('auto-reconnect').checked,
+      maxReconnectAttempts: document.getElementById('max-reconnect-attempts').value,
+      keepTryingSeconds: document.getElementById('keep-trying-seconds').value,
+      keepTrying: document.getElementById('keep-trying').checked,
+      reconnectJitter: document.getElementById('reconnect-jitter').checked,
+      reconnectOnNetwork: document.getElementById('reconnect-on-network').checked,
+      reconnectOnFocus: document.getElementById('reconnect-on-focus').checked
+    };
+  }
+
+  selectProfile(id) {
+    const profile = profiles.get(id);
+    this.fillProfileForm(profile);
+    document.getElementById('profile-delete').disabled = !profile;
+    document.getElementById('connect-error').classList.add('hidden');
+  }
+
+  // Create or update the profile selected on the connect screen
+  async saveProfileFromForm() {
+    const data = this.readProfileForm();
+    if (!data.host.trim()) {
+      this.showConnectError('Please enter a host address');
+      return null;
+    }
+    if (vault.isLocked() && data.token.trim()) {
+      this.showConnectError('Unlock the vault before saving a token');
+      return null;
+    }
+    
+    const selectedId = document.getElementById('profile-select').value;
+    const profile = selectedId ? profiles.update(selectedId, data) : profiles.create(data);
+    if (document.getElementById('profile-default').checked) {
+      profiles.setDefault(profile.id);
+    }
+    // A locked vault keeps whatever token was saved before
+    if (!vault.isLocked()) {
       try {
-        const config = JSON.parse(saved);
-        document.getElementById('host').value = config.host || '';
-        document.getElementById('port').value = config.port || 18789;
-        document.getElementById('token').value = config.token || '';
+        await profiles.setToken(profile.id, data.token);
       } catch (e) {
-        console.warn('Failed to load saved config:', e);
+        this.showConnectError(`Failed to save token: ${e.message}`);
+        return null;
       }
     }
+    
+    this.renderProfileSelects(profile.id);
+    this.fillProfileForm(profile);
+    return profile;
   }
 
-  saveConfig() {
-    const config = {
-      host: document.getElementById('host').value,
-      port: document.getElementById('port').value,
-      token: document.getElementById('token').value
-    };
-    localStorage.setItem('ether-portal-config', JSON.stringify(config));
+  async deleteSelectedProfile() {
+    const profile = profiles.get(document.getElementById('profile-select').value);
+    if (!profile) return;
+    if (!confirm(`Delete profile "${profile.name}"?`)) return;
+    
+    await profiles.remove(profile.id);
+    // Its transcript index holds plain-text messages
+    await this.transcriptSearch.clear(profile.id);
+    this.loadProfiles();
+  }
+
+  // Tear down the current GatewayClient and connect a fresh one for another profile
+  async switchProfile(id) {
+    const profile = profiles.get(id);
+    if (!profile || id === profiles.activeId) return;
+    if (vault.isLocked()) {
+      this.addActivity('Unlock the vault in Settings before switching profiles', 'warning');
+      document.getElementById('header-profile-select').value = profiles.activeId || '';
+      return;
+    }
+    
+    this.addActivity(`Switching to ${profile.name}...`, 'info');
+    this.stopRefreshInterval();
+    this.clearReconnectCountdown();
+    
+    this.unbindGatewayEvents();
+    this.abortAllLoads();
+    gateway.disconnect();
+    window.gateway = new GatewayClient();
+    this.bindGatewayEvents();
+    this.resetGatewayViews();
+    
+    profiles.activeId = profile.id;
+    this.renderProfileSelects(profile.id);
+    this.fillProfileForm(profile);
+    this.configureGateway(profile);
+    this.renderOutbox();
+    this.renderAlerts();
+    
+    try {
+      await gateway.connect();
+    } catch (e) {
+      this.addActivity(`Failed to connect to ${profile.name}: ${e.message}`, 'error');
+      this.showReconnectButton();
+    }
+  }
+
+  configureGateway(profile) {
+    gateway.configure({ ...profiles.toConfig(profile), offlineQueue: this.offlineQueueEnabled });
+  }
+
+  // Forget data that belonged to the previous gateway
+  resetGatewayViews() {
+    this.jobs = [];
+    this.sessions = [];
+    this.sessionKey = null;
+    this.systemInfo = null;
+    this.lastQuality = 'unknown';
+    this.modelOptions = null;
+    this.jobsLoaded = false;
+    this.closeJobEditor();
+    this.closeJobDetail();
+    this.closeJobExport();
+    this.closeJobImport();
+    this.closeJobLive();
+    this.jobOutput.clear();
+    this.jobRuns.clear();
+    this.selectedJobIds.clear();
+    this.lastSelectedJobId = null;
+    document.getElementById('job-bulk-progress').classList.add('hidden');
+    this.resetChatStreams();
+    this.chatHistory.clear();
+    this.chatToolCalls.clear();
+    this.unseenChatMessages = 0;
+    this.updateJumpToLatest();
+    this.serverSearch = null;
+    this.clearTranscriptSearch();
+    this.closeSessionExport();
+    
+    document.getElementById('jobs-list').innerHTML = '<div class="loading"><span class="spinner"></span> Loading jobs...</div>';
+    document.getElementById('sessions-list').innerHTML = '<div class="loading"><span class="spinner"></span> Loading sessions...</div>';
+    document.getElementById('chat-messages').innerHTML = `
+      <div class="chat-welcome">
+        <span class="welcome-icon">💬</span>
+        <p>Send messages to your AI assistant</p>
+        <p style="font-size: 12px; margin-top: 8px; color: var(--text-muted);">
+          Select a session from the Sessions tab first
+        </p>
+      </div>
+    `;
+  }
+
+  async clearDeviceToken() {
+    try {
+      await vault.remove(gateway.getDeviceTokenKey());
+      alert('Token cleared!');
+    } catch (e) {
+      alert(`Could not clear token: ${e.message}`);
+    }
+  }
+
+  async resetPortal() {
+    if (!confirm('Clear all local data?')) return;
+    vault.destroy();
+    localStorage.clear();
+    await portalDb.destroy();
+    location.reload();
+  }
+
+  // Credential vault
+  async initVault() {
+    vault.subscribe((state) => this.onVaultChange(state));
+    document.getElementById('setting-vault-idle').value = String(vault.idleMinutes);
+    if (!vault.isSupported() && !vault.isEnabled()) {
+      document.getElementById('vault-enable').disabled = true;
+    }
+    await vault.restoreSession();
+    this.renderVaultState();
+  }
+
+  onVaultChange(state) {
+    this.renderVaultState();
+    if (state === 'locked') {
+      this.addActivity('Credential vault locked', 'info');
+    }
+    
+    // Fill in the saved token now that it can be read
+    const tokenInput = document.getElementById('token');
+    const profile = profiles.get(document.getElementById('profile-select').value);
+    if (state === 'unlocked' && profile && !tokenInput.value) {
+      tokenInput.value = profiles.getToken(profile.id);
+    }
+  }
+
+  renderVaultState() {
+    const state = vault.getState();
+    const labels = { off: 'Off', locked: '🔒 Locked', unlocked: '🔓 Unlocked' };
+    const statusEl = document.getElementById('vault-status');
+    statusEl.textContent = labels[state];
+    statusEl.className = `vault-status ${state}`;
+    
+    document.getElementById('vault-passphrase-row').classList.toggle('hidden', state === 'unlocked');
+    document.getElementById('vault-passphrase-confirm').classList.toggle('hidden', state !== 'off');
+    document.getElementById('vault-enable').classList.toggle('hidden', state !== 'off');
+    document.getElementById('vault-unlock-settings').classList.toggle('hidden', state !== 'locked');
+    document.getElementById('vault-lock').classList.toggle('hidden', state !== 'unlocked');
+    document.getElementById('vault-disable').classList.toggle('hidden', state !== 'unlocked');
+    
+    document.getElementById('vault-unlock').classList.toggle('hidden', state !== 'locked');
+    document.getElementById('token').placeholder = state === 'locked'
+      ? '🔒 Unlock the vault to use the saved token'
+      : 'Leave empty if no token required';
+  }
+
+  async enableVault() {
+    const input = document.getElementById('vault-passphrase');
+    const confirmInput = document.getElementById('vault-passphrase-confirm');
+    
+    if (input.value.length < 8) {
+      alert('Use a passphrase of at least 8 characters');
+      return;
+    }
+    if (input.value !== confirmInput.value) {
+      alert('Passphrases do not match');
+      return;
+    }
+    
+    try {
+      await vault.enable(input.value);
+      input.value = '';
+      confirmInput.value = '';
+      this.addActivity('Credential vault enabled - tokens are now encrypted', 'success');
+    } catch (e) {
+      alert(`Failed to enable vault: ${e.message}`);
+    }
+  }
+
+  async unlockVault(inputId) {
+    const input = document.getElementById(inputId);
+    try {
+      await vault.unlock(input.value);
+      input.value = '';
+      this.addActivity('Credential vault unlocked', 'success');
+    } catch (e) {
+      if (inputId === 'vault-unlock-passphrase') {
+        this.showConnectError(e.message);
+      } else {
+        alert(e.message);
+      }
+    }
+  }
+
+  async disableVault() {
+    if (!confirm('Disable the vault? Tokens will be stored unencrypted again.')) return;
+    try {
+      await vault.disable();
+      this.addActivity('Credential vault disabled', 'warning');
+    } catch (e) {
+      alert(`Failed to disable vault: ${e.message}`);
+    }
+  }
+
+  // Device identity (signing key pair)
+  async renderDeviceIdentity() {
+    const panel = document.getElementById('device-identity-panel');
+    if (!panel) return;
+    
+    const buttons = document.querySelectorAll('.device-identity-action');
+    if (!deviceIdentity.isSupported()) {
+      panel.innerHTML = '<p style="color: var(--text-muted);">Device keys need a secure context (HTTPS or localhost). Using a browser fingerprint ID instead.</p>';
+      buttons.forEach(btn => btn.disabled = true);
+      return;
+    }
+    
+    try {
+      const record = await portalDb.get('keys', DeviceIdentity.RECORD_KEY);
+      buttons.forEach(btn => btn.disabled = false);
+      if (!record) {
+        panel.innerHTML = '<p style="color: var(--text-muted);">No device key yet - one is created on the next connect.</p>';
+        return;
+      }
+      panel.innerHTML = `
+        <div class="info-row">
+          <span class="info-label">Device ID</span>
+          <span class="info-value">${this.escapeHtml(record.deviceId)}</span>
+        </div>
+        <div class="info-row">
+          <span class="info-label">Public Key</span>
+          <span class="info-value" title="${this.escapeHtml(record.publicKey)}">…${this.escapeHtml(record.publicKey.slice(-24))}</span>
+        </div>
+        <div class="info-row">
+          <span class="info-label">Created</span>
+          <span class="info-value">${new Date(record.createdAt).toLocaleString()}</span>
+        </div>
+      `;
+    } catch (e) {
+      panel.innerHTML = `<p style="color: var(--error);">Failed to read device key: ${this.escapeHtml(e.message)}</p>`;
+    }
+  }
+
+  async rotateDeviceIdentity() {
+    if (vault.isLocked()) {
+      alert('Unlock the vault first');
+      return;
+    }
+    if (!confirm('Generate a new device key? The gateway will need to pair this device again.')) return;
+    
+    try {
+      await profiles.clearDeviceTokens();
+      await deviceIdentity.rotate();
+      gateway.deviceId = null;
+      this.addActivity(`Device key rotated: ${deviceIdentity.deviceId}`, 'success');
+      await this.renderDeviceIdentity();
+      if (gateway.isConnected()) this.reconnect();
+    } catch (e) {
+      this.addActivity(`Failed to rotate device key: ${e.message}`, 'error');
+    }
+  }
+
+  async revokeDeviceIdentity() {
+    if (vault.isLocked()) {
+      alert('Unlock the vault first');
+      return;
+    }
+    if (!confirm('Revoke this device identity? You will be disconnected and the key will be deleted.')) return;
+    
+    const deviceId = deviceIdentity.deviceId || gateway.deviceId;
+    if (gateway.isConnected() && deviceId) {
+      try {
+        await gateway.revokeDevice(deviceId);
+        this.addActivity('Gateway revoked this device', 'success');
+      } catch (e) {
+        this.addActivity(`Gateway did not revoke device (${e.message}) - remove it from the gateway's paired devices`, 'warning');
+      }
+    }
+    
+    try {
+      await profiles.clearDeviceTokens();
+      await deviceIdentity.revoke();
+      gateway.deviceId = null;
+      this.addActivity('Device key deleted', 'warning');
+    } catch (e) {
+      this.addActivity(`Failed to delete device key: ${e.message}`, 'error');
+    }
+    
+    await this.renderDeviceIdentity();
+    if (gateway.isConnected()) this.disconnect();
   }
 
   startClock() {
@@ -257,17 +951,17 @@ class EtherPortal {
     error.classList.add('hidden');
     status?.classList.remove('hidden');
 
-    const host = document.getElementById('host').value.trim();
-    const port = parseInt(document.getElementById('port').value) || 18789;
-    const token = document.getElementById('token').value.trim();
-
-    if (!host) {
-      this.showConnectError('Please enter a host address');
+    if (vault.isLocked()) {
+      this.showConnectError('Unlock the vault to use saved tokens');
       return;
     }
 
-    gateway.configure({ host, port, token });
-    this.saveConfig();
+    const profile = await this.saveProfileFromForm();
+    if (!profile) return;
+
+    profiles.activeId = profile.id;
+    this.renderProfileSelects(profile.id);
+    this.configureGateway(profile);
 
     try {
       status.textContent = 'Connecting...';
@@ -297,19 +991,32 @@ class EtherPortal {
   }
 
   onReconnecting(data) {
-    this.addActivity(`Reconnecting in ${Math.round(data.delayMs / 1000)}s (attempt ${data.attempt}/${data.maxAttempts})...`, 'warning');
+    // Slow retries would flood the activity feed - the countdown is enough
+    if (!data.keepTrying) {
+      this.addActivity(`Reconnecting in ${Math.round(data.delayMs / 1000)}s (attempt ${data.attempt}/${data.maxAttempts})...`, 'warning');
+    }
     this.startReconnectCountdown(data.delayMs);
   }
 
-  onMaxReconnects() {
+  onMaxReconnects(data) {
     this.clearReconnectCountdown();
+    if (data.keepTrying) {
+      this.addActivity(`Gateway still unreachable after ${data.attempts} attempts - retrying every ${Math.round(data.intervalMs / 1000)}s`, 'warning');
+      return;
+    }
     this.updateConnectionStatus('Failed - Max retries', 'disconnected');
     this.addActivity('Max reconnection attempts reached. Click "Reconnect" to try again.', 'error');
     this.showReconnectButton();
   }
 
+  onWaitingForNetwork() {
+    this.clearReconnectCountdown();
+    this.updateConnectionStatus('Offline - waiting for network', 'disconnected');
+  }
+
   onHeartbeatMissed(data) {
     this.addActivity(`Heartbeat missed (${data.count}/3) - connection may be unstable`, 'warning');
+    this.updateQualityIndicator();
   }
 
   startReconnectCountdown(delayMs) {
@@ -358,13 +1065,15 @@ class EtherPortal {
     btn.querySelector('.btn-text').classList.remove('hidden');
     btn.querySelector('.btn-loading').classList.add('hidden');
     
-    // Re-enable auto-reconnect
-    gateway.config.autoReconnect = true;
+    // Re-enable auto-reconnect unless the profile turned it off
+    gateway.config.autoReconnect = profiles.getActive()?.autoReconnect ?? true;
     
     this.loadDashboard();
     this.loadJobs();
     this.loadSessions();
     this.loadSystemInfo();
+    this.renderDeviceIdentity();
+    this.updateQualityIndicator();
     this.addActivity('Connected to Ether Gateway', 'success');
     this.showNotification('Ether Portal', 'Connected to Gateway');
     
@@ -374,6 +1083,7 @@ class EtherPortal {
 
   onDisconnected(data) {
     this.clearReconnectCountdown();
+    this.updateQualityIndicator();
     
     if (data.willReconnect) {
       this.updateConnectionStatus('Reconnecting...', 'connecting');
@@ -395,12 +1105,32 @@ class EtherPortal {
   }
 
   onJobStarted(data) {
+    this.jobRuns.recordStarted(data);
+    if (data?.replayed) {
+      this.addActivity(`Job started: ${data.name || data.jobId || 'Unknown'} (while offline)`, 'info', this.getEventTime(data));
+      return;
+    }
+    if (data?.jobId) {
+      const job = this.jobs.find(j => j.id === data.jobId) || { id: data.jobId, name: data.name };
+      this.jobOutput.start(job, { runId: data.runId, sessionKey: data.sessionKey, startedAt: data.startedAtMs || Date.now() });
+    }
     this.addActivity(`Job started: ${data?.name || data?.jobId || 'Unknown'}`, 'info');
     this.showNotification('Job Started', data?.name || 'Unknown job');
     this.playSound('notification');
   }
 
   onJobCompleted(data) {
+    this.jobRuns.recordCompleted(data);
+    this.checkAlerts();
+    if (data?.jobId) {
+      const run = JobRunHistory.normalize(data);
+      this.jobOutput.finish(data.jobId, { status: run.status === 'running' ? 'ok' : run.status, error: run.error, summary: run.summary });
+    }
+    if (data?.replayed) {
+      // Jobs are reloaded on reconnect anyway
+      this.addActivity(`Job completed: ${data.name || data.jobId || 'Unknown'} (while offline)`, 'success', this.getEventTime(data));
+      return;
+    }
     this.addActivity(`Job completed: ${data?.name || data?.jobId || 'Unknown'}`, 'success');
     this.showNotification('Job Completed', data?.name || 'Unknown job');
     // Refresh jobs to update next run time
@@ -409,45 +1139,193 @@ class EtherPortal {
 
   onSessionMessage(data) {
     if (data?.role === 'assistant') {
-      this.addActivity(`New message in ${data?.sessionKey?.split(':').pop() || 'session'}`, 'info');
+      const suffix = data.replayed ? ' (while offline)' : '';
+      this.addActivity(`New message in ${data?.sessionKey?.split(':').pop() || 'session'}${suffix}`, 'info', this.getEventTime(data));
+      if (data.sessionKey === this.sessionKey) {
+        this.finishChatStream(data);
+        if (this.showToolCalls) this.addToolActivity(data);
+      }
+    } else if (ToolTranscript.isResultMessage(data) && data.sessionKey === this.sessionKey) {
+      if (this.showToolCalls) this.addToolActivity(data);
+    } else if (data?.replayed && data.role === 'user' && data.sessionKey === this.sessionKey) {
+      // Messages sent from other channels while we were away
+      const text = this.extractMessageText(data.content ?? data.text);
+      const attachments = this.getMessageAttachments(data);
+      if (text.trim() || attachments.length) this.addChatMessage('user', text, data.timestamp, attachments);
     }
   }
 
-  startRefreshInterval() {
-    this.stopRefreshInterval();
-    this.refreshInterval = setInterval(() => {
-      if (gateway.isConnected()) {
-        this.loadDashboard();
-        this.updateNextTask();
-      }
-    }, 30000);
+  getEventTime(data) {
+    return data?.timestamp || data?.ts || data?.startedAtMs || data?.finishedAtMs || Date.now();
   }
 
-  stopRefreshInterval() {
-    if (this.refreshInterval) {
-      clearInterval(this.refreshInterval);
-      this.refreshInterval = null;
+  // Missed events are about to be replayed into the chat - mark where the gap starts
+  onReplayStart(data) {
+    const missed = data.events.filter(e => e.event === 'session.message' && e.payload?.sessionKey === this.sessionKey);
+    if (missed.length > 0) {
+      const since = new Date(data.since).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      this.addChatMessage('system', `Missed while offline (since ${since}):`);
     }
   }
 
-  disconnect() {
-    gateway.disconnect();
-    document.getElementById('main-screen').classList.remove('active');
-    document.getElementById('connect-screen').classList.add('active');
-    
-    const btn = document.getElementById('connect-btn');
-    btn.disabled = false;
-    btn.querySelector('.btn-text').classList.remove('hidden');
-    btn.querySelector('.btn-loading').classList.add('hidden');
+  onResync(data) {
+    const missed = data.reconnected ? `Back online after ${this.formatDuration(data.until - data.since)}` : 'Events were dropped';
     
-    document.getElementById('connect-error').classList.add('hidden');
-    document.getElementById('connect-status').classList.add('hidden');
+    if (data.mode === 'replay') {
+      this.addActivity(`${missed} - replayed ${data.count} missed event${data.count === 1 ? '' : 's'}`, 'success');
+      return;
+    }
     
-    this.addActivity('Disconnected by user', 'warning');
-    this.stopRefreshInterval();
+    if (data.restarted) {
+      // Seen on a live connection too, where onConnected doesn't run
+      this.addActivity('Gateway restarted - refreshed jobs, sessions and chat', 'warning');
+      this.loadDashboard();
+      this.loadJobs();
+      this.loadSessions();
+    } else if (data.reconnected) {
+      // No replay from the gateway: onConnected already reloads jobs and sessions, so refill the chat
+      this.addActivity(`${missed} - missed events unavailable, refreshed jobs, sessions and chat`, 'warning');
+    } else {
+      this.addActivity(`${missed} and could not be replayed - refreshed jobs, sessions and chat`, 'warning');
+      this.loadJobs();
+      this.loadSessions();
+    }
+    if (this.sessionKey) {
+      if (this.currentTab === 'chat') {
+        this.loadSessionHistory(this.sessionKey);
+      } else {
+        this.staleTabs.add('chat');
+      }
+    }
   }
 
-  switchTab(tab) {
+  // Streaming reply chunks for the selected session
+  onSessionDelta(data) {
+    if (!data || data.sessionKey !== this.sessionKey) return;
+    if (data.role && data.role !== 'assistant') return;
+    
+    this.hideTypingIndicator();
+    
+    const id = this.getStreamId(data);
+    let stream = this.chatStreams.get(id);
+    if (!stream) {
+      const el = this.addChatMessage('assistant', '', data.timestamp);
+      el.classList.add('streaming');
+      stream = { el, text: '' };
+      this.chatStreams.set(id, stream);
+    }
+    
+    // `delta` is appended; a bare `text`/`content` is a snapshot of the reply so far
+    if (typeof data.delta === 'string') {
+      stream.text += data.delta;
+    } else {
+      stream.text = this.extractMessageText(data.text ?? data.content);
+    }
+    
+    const container = document.getElementById('chat-messages');
+    const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 80;
+    stream.el.querySelector('.message-content').textContent = stream.text;
+    if (atBottom) container.scrollTop = container.scrollHeight;
+    
+    if (data.done || data.final) {
+      this.finishChatStream(data);
+    }
+  }
+
+  getStreamId(data) {
+    return data.messageId || data.runId || data.id || 'current';
+  }
+
+  finishChatStream(data) {
+    this.hideTypingIndicator();
+    
+    let id = this.getStreamId(data);
+    // The final message may carry a different id than its chunks; fall back to the only open stream
+    if (!this.chatStreams.has(id) && this.chatStreams.size === 1) {
+      id = this.chatStreams.keys().next().value;
+    }
+    const stream = this.chatStreams.get(id);
+    this.chatStreams.delete(id);
+    
+    const text = this.extractMessageText(data.content ?? data.text) || stream?.text || '';
+    const attachments = this.getMessageAttachments(data);
+    if (!text.trim() && attachments.length === 0) {
+      stream?.el.remove();
+      return;
+    }
+    
+    if (stream) stream.el.replaceWith(this.createChatMessage('assistant', text, data.timestamp, attachments));
+    else this.addChatMessage('assistant', text, data.timestamp, attachments);
+  }
+
+  resetChatStreams() {
+    this.chatStreams.clear();
+    this.hideTypingIndicator();
+  }
+
+  showTypingIndicator() {
+    this.hideTypingIndicator();
+    const container = document.getElementById('chat-messages');
+    const div = document.createElement('div');
+    div.className = 'message assistant typing-indicator';
+    div.innerHTML = '<span></span><span></span><span></span>';
+    container.appendChild(div);
+    container.scrollTop = container.scrollHeight;
+    
+    // Give up waiting after 2 minutes - the reply may have gone to another channel
+    this.typingTimeout = setTimeout(() => this.hideTypingIndicator(), 120000);
+  }
+
+  hideTypingIndicator() {
+    if (this.typingTimeout) {
+      clearTimeout(this.typingTimeout);
+      this.typingTimeout = null;
+    }
+    document.querySelectorAll('#chat-messages .typing-indicator').forEach(el => el.remove());
+  }
+
+  extractMessageText(content) {
+    if (typeof content === 'string') return content;
+    return content?.map?.(c => c.text || '').join('') || '';
+  }
+
+  startRefreshInterval() {
+    this.stopRefreshInterval();
+    this.refreshInterval = setInterval(() => {
+      if (gateway.isConnected()) {
+        this.loadDashboard();
+        this.updateNextTask();
+        this.checkAlerts();
+      }
+    }, 30000);
+  }
+
+  stopRefreshInterval() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  }
+
+  disconnect() {
+    gateway.disconnect();
+    document.getElementById('main-screen').classList.remove('active');
+    document.getElementById('connect-screen').classList.add('active');
+    
+    const btn = document.getElementById('connect-btn');
+    btn.disabled = false;
+    btn.querySelector('.btn-text').classList.remove('hidden');
+    btn.querySelector('.btn-loading').classList.add('hidden');
+    
+    document.getElementById('connect-error').classList.add('hidden');
+    document.getElementById('connect-status').classList.add('hidden');
+    
+    this.addActivity('Disconnected by user', 'warning');
+    this.stopRefreshInterval();
+  }
+
+  switchTab(tab) {
+    if (tab !== this.currentTab) this.cancelTabLoads(this.currentTab);
     this.currentTab = tab;
     
     document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -459,11 +1337,50 @@ class EtherPortal {
     });
 
     // Load tab-specific data
-    if (tab === 'sessions' && this.sessions.length === 0) {
+    if (tab === 'settings') {
+      this.renderProtocolLog();
+      this.renderQualityPanel();
+    }
+    
+    if (this.staleTabs.delete(tab)) {
+      if (tab === 'jobs') this.loadJobs();
+      else if (tab === 'sessions') this.loadSessions();
+      else if (tab === 'chat' && this.sessionKey) this.loadSessionHistory(this.sessionKey);
+    } else if (tab === 'sessions' && this.sessions.length === 0) {
       this.loadSessions();
     }
   }
 
+  // Abort the previous load of the same kind and hand out a signal for the new one
+  beginLoad(kind) {
+    this.loadControllers.get(kind)?.abort();
+    const controller = new AbortController();
+    this.loadControllers.set(kind, controller);
+    return controller.signal;
+  }
+
+  endLoad(kind, signal) {
+    if (this.loadControllers.get(kind)?.signal === signal) {
+      this.loadControllers.delete(kind);
+    }
+  }
+
+  abortAllLoads() {
+    this.loadControllers.forEach(controller => controller.abort());
+    this.loadControllers.clear();
+    this.staleTabs.clear();
+  }
+
+  // Loads for a tab we are leaving are stale; reload when the tab is shown again
+  cancelTabLoads(tab) {
+    const kind = { jobs: 'jobs', sessions: 'sessions', chat: 'history' }[tab];
+    const controller = kind && this.loadControllers.get(kind);
+    if (!controller) return;
+    controller.abort();
+    this.loadControllers.delete(kind);
+    this.staleTabs.add(tab);
+  }
+
   async loadDashboard() {
     try {
       const [status, sessions] = await Promise.all([
@@ -525,6 +1442,7 @@ class EtherPortal {
       ]);
       
       this.systemInfo = { status, health };
+      this.renderTimeline();
       
       // Update system info panel if exists
       const panel = document.getElementById('system-info-panel');
@@ -566,15 +1484,26 @@ class EtherPortal {
     
     if (refreshBtn) refreshBtn.disabled = true;
     container.innerHTML = '<div class="loading"><span class="spinner"></span> Loading jobs...</div>';
+    const signal = this.beginLoad('jobs');
 
     try {
-      const result = await gateway.getCronJobs();
+      const result = await gateway.getCronJobs({ signal });
       this.jobs = result?.jobs || [];
+      this.jobsLoaded = true;
+      this.checkAlerts();
       
       document.getElementById('stat-jobs').textContent = this.jobs.filter(j => j.enabled).length;
       
+      // Drop selections for jobs that no longer exist
+      this.selectedJobIds.forEach(id => {
+        if (!this.jobs.some(j => j.id === id)) this.selectedJobIds.delete(id);
+      });
+      this.refreshJobImport();
+      
+      this.renderTimeline();
       if (this.jobs.length === 0) {
         container.innerHTML = '<div class="empty-state"><span class="icon">📭</span><p>No scheduled jobs configured</p></div>';
+        this.renderBulkBar();
         return;
       }
 
@@ -602,28 +1531,74 @@ class EtherPortal {
           this.toggleJob(btn.dataset.id, btn.dataset.enabled === 'true');
         });
       });
+      
+      container.querySelectorAll('.job-select').forEach(box => {
+        box.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.toggleJobSelection(box.dataset.id, box.checked, e.shiftKey);
+        });
+      });
+      
+      // Keep the current filter applied across reloads
+      const filter = document.getElementById('job-filter').value;
+      if (filter) this.filterJobs(filter);
+      this.renderBulkBar();
+      
+      container.querySelectorAll('.job-history').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.openJobDetail(btn.dataset.id);
+        });
+      });
+      
+      container.querySelectorAll('.job-live-open').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.openJobLive(btn.dataset.id);
+        });
+      });
+      
+      container.querySelectorAll('.job-edit').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.openJobEditor(this.jobs.find(j => j.id === btn.dataset.id));
+        });
+      });
+      
+      container.querySelectorAll('.job-duplicate').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.openJobEditor(this.jobs.find(j => j.id === btn.dataset.id), { duplicate: true });
+        });
+      });
 
       this.updateNextTask();
     } catch (e) {
-      container.innerHTML = `<div class="empty-state error"><span class="icon">⚠️</span><p>Error: ${e.message}</p></div>`;
+      if (e.aborted) return;
+      container.innerHTML = `<div class="empty-state error"><span class="icon">⚠️</span><p>Error: ${this.escapeHtml(e.message)}</p></div>`;
       this.addActivity('Failed to load jobs', 'error');
     } finally {
+      this.endLoad('jobs', signal);
       if (refreshBtn) refreshBtn.disabled = false;
     }
   }
 
   renderJob(job) {
     const schedule = this.formatSchedule(job.schedule);
-    const nextRun = job.state?.nextRunAtMs 
-      ? this.formatRelativeTime(job.state.nextRunAtMs)
+    // Until the gateway reports nextRunAtMs, estimate it from the cron expression
+    const estimated = !job.state?.nextRunAtMs && job.enabled ? this.estimateNextRun(job.schedule) : null;
+    const nextRunAt = job.state?.nextRunAtMs || estimated;
+    const nextRun = nextRunAt
+      ? this.formatRelativeTime(nextRunAt) + (estimated ? ' (estimated)' : '')
       : 'Not scheduled';
-    const nextRunFull = job.state?.nextRunAtMs
-      ? new Date(job.state.nextRunAtMs).toLocaleString()
+    const nextRunFull = nextRunAt
+      ? new Date(nextRunAt).toLocaleString()
       : '';
 
     return `
-      <div class="job-card ${job.enabled ? '' : 'disabled'}">
+      <div class="job-card ${job.enabled ? '' : 'disabled'} ${this.selectedJobIds.has(job.id) ? 'selected' : ''}" data-id="${this.escapeHtml(job.id)}">
         <div class="job-header">
+          <input type="checkbox" class="job-select" data-id="${this.escapeHtml(job.id)}" ${this.selectedJobIds.has(job.id) ? 'checked' : ''} title="Select (shift-click for a range)">
           <span class="job-status ${job.enabled ? 'enabled' : ''}"></span>
           <span class="job-name">${this.escapeHtml(job.name || 'Unnamed Job')}</span>
           <span class="job-badge ${job.enabled ? 'active' : 'inactive'}">${job.enabled ? 'Active' : 'Disabled'}</span>
@@ -639,12 +1614,16 @@ class EtherPortal {
           </div>
         </div>
         <div class="job-actions">
-          <button class="btn-small primary job-run" data-id="${job.id}" title="Run this job now">
+          <button class="btn-small primary job-run" data-id="${this.escapeHtml(job.id)}" title="Run this job now">
             ▶️ Run Now
           </button>
-          <button class="btn-small job-toggle" data-id="${job.id}" data-enabled="${job.enabled}" title="${job.enabled ? 'Disable' : 'Enable'} this job">
+          <button class="btn-small job-toggle" data-id="${this.escapeHtml(job.id)}" data-enabled="${job.enabled}" title="${job.enabled ? 'Disable' : 'Enable'} this job">
             ${job.enabled ? '⏸️ Disable' : '▶️ Enable'}
           </button>
+          <button class="btn-small job-history" data-id="${this.escapeHtml(job.id)}" title="Show past runs">📜 History</button>
+          <button class="btn-small job-live-open" data-id="${this.escapeHtml(job.id)}" title="Watch this job's output as it runs">📡 Live</button>
+          <button class="btn-small job-edit" data-id="${this.escapeHtml(job.id)}" title="Edit this job">✏️ Edit</button>
+          <button class="btn-small job-duplicate" data-id="${this.escapeHtml(job.id)}" title="Create a copy of this job">📄 Duplicate</button>
         </div>
       </div>
     `;
@@ -659,7 +1638,7 @@ class EtherPortal {
       return `Every ${mins}m`;
     }
     if (schedule.kind === 'cron') {
-      return this.formatCronExpr(schedule.expr);
+      return this.formatCronExpr(schedule.expr) + (schedule.tz ? ` (${this.escapeHtml(schedule.tz)})` : '');
     }
     if (schedule.kind === 'at') {
       return 'One-time: ' + new Date(schedule.at).toLocaleString();
@@ -668,23 +1647,20 @@ class EtherPortal {
   }
 
   formatCronExpr(expr) {
-    // Simple cron expression humanization
-    const parts = expr.split(' ');
-    if (parts.length < 5) return expr;
-    
-    const [min, hour, dom, mon, dow] = parts;
-    
-    if (dom === '*' && mon === '*') {
-      if (dow === '*') {
-        if (hour === '*') return `Every hour at :${min.padStart(2, '0')}`;
-        return `Daily at ${hour}:${min.padStart(2, '0')}`;
-      }
-      const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-      const dayName = days[parseInt(dow)] || dow;
-      return `${dayName} at ${hour}:${min.padStart(2, '0')}`;
+    try {
+      return new CronExpression(expr).describe();
+    } catch (e) {
+      return this.escapeHtml(expr || '');
+    }
+  }
+
+  estimateNextRun(schedule) {
+    if (schedule?.kind !== 'cron') return null;
+    try {
+      return new CronExpression(schedule.expr, schedule.tz || this.getGatewayTimezone()).nextRun();
+    } catch (e) {
+      return null;
     }
-    
-    return expr;
   }
 
   formatRelativeTime(timestamp) {
@@ -736,9 +1712,14 @@ class EtherPortal {
     
     if (refreshBtn) refreshBtn.disabled = true;
     container.innerHTML = '<div class="loading"><span class="spinner"></span> Loading sessions...</div>';
+    const signal = this.beginLoad('sessions');
 
     try {
-      const result = await gateway.getSessions({ activeMinutes: 60 * 24 * 7 });
+      // Models fill each card's model dropdown; the list still renders if they fail to load
+      const [result] = await Promise.all([
+        gateway.getSessions({ activeMinutes: 60 * 24 * 7 }, { signal }),
+        this.loadModelOptions()
+      ]);
       this.sessions = result?.sessions || [];
       
       if (this.sessions.length === 0) {
@@ -758,6 +1739,18 @@ class EtherPortal {
         });
       });
       
+      container.querySelectorAll('.session-actions').forEach(actions => {
+        actions.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const btn = e.target.closest('button[data-action]');
+          if (btn) this.runSessionAction(btn.dataset.action, actions.dataset.key, btn);
+        });
+      });
+      
+      container.querySelectorAll('.session-model-select').forEach(select => {
+        select.addEventListener('change', () => this.changeSessionModel(select.dataset.key, select));
+      });
+      
       // Auto-select main session if available
       if (!this.sessionKey) {
         const mainSession = this.sessions.find(s => s.key?.includes('whatsapp:direct'));
@@ -766,8 +1759,10 @@ class EtherPortal {
         }
       }
     } catch (e) {
-      container.innerHTML = `<div class="empty-state error"><span class="icon">⚠️</span><p>Error: ${e.message}</p></div>`;
+      if (e.aborted) return;
+      container.innerHTML = `<div class="empty-state error"><span class="icon">⚠️</span><p>Error: ${this.escapeHtml(e.message)}</p></div>`;
     } finally {
+      this.endLoad('sessions', signal);
       if (refreshBtn) refreshBtn.disabled = false;
     }
   }
@@ -777,27 +1772,273 @@ class EtherPortal {
     const model = session.model || 'Unknown';
     const usage = session.percentUsed ? `${session.percentUsed}%` : '-';
     const kind = session.kind || 'direct';
-    
-    // Extract readable name from session key
-    let name = session.key || 'Unknown Session';
-    const parts = name.split(':');
-    if (parts.length >= 4) {
-      const channel = parts[2];
-      const target = parts.slice(4).join(':') || parts[3];
-      name = `${channel}/${target}`;
-    }
+    const name = this.getSessionName(session.key);
+    const key = this.escapeHtml(session.key || '');
+    const crowded = session.percentUsed >= EtherPortal.COMPACT_SUGGEST_PERCENT;
+    // Only hide what the gateway says it can't do; null means it didn't list its methods
+    const unsupported = (method) => gateway.supports(method) === false ? 'disabled title="Not supported by this gateway"' : '';
 
     return `
-      <div class="session-card" data-key="${this.escapeHtml(session.key || '')}">
+      <div class="session-card" data-key="${key}">
         <div class="session-header">
           <span class="session-icon">${kind === 'cron' ? '⏰' : '💬'}</span>
           <span class="session-name">${this.escapeHtml(name)}</span>
         </div>
         <div class="session-meta">
-          <span class="session-model" title="Model">${model}</span>
-          <span class="session-usage" title="Context usage">${usage}</span>
+          <span class="session-model" title="Model">${this.escapeHtml(model)}</span>
+          <span class="session-usage ${crowded ? 'high' : ''}" title="Context usage">${usage}</span>
           <span class="session-age" title="Last activity">${age} ago</span>
         </div>
+        ${session.percentUsed ? `<div class="session-usage-bar"><div class="${crowded ? 'high' : ''}" style="width: ${Math.min(100, session.percentUsed)}%"></div></div>` : ''}
+        <div class="session-actions" data-key="${key}">
+          <select class="session-model-select" data-key="${key}" title="Switch this session's model" ${unsupported('sessions.patch')}>
+            ${this.renderModelOptions(session.model)}
+          </select>
+          <button class="btn-small session-compact ${crowded ? 'primary' : ''}" data-action="compact" ${unsupported('sessions.compact')}
+            title="${crowded ? 'Context is filling up - summarize older turns' : 'Summarize older turns to free up context'}">🗜️ Compact</button>
+          <button class="btn-small" data-action="export" title="Download this session's transcript">⬇️ Export</button>
+          <button class="btn-small" data-action="reset" title="Clear the conversation context" ${unsupported('sessions.reset')}>🔄 Reset</button>
+          <button class="btn-small" data-action="archive" title="Remove the session but keep its transcript" ${unsupported('sessions.delete')}>📦 Archive</button>
+          <button class="btn-small danger" data-action="delete" title="Delete the session and its transcript" ${unsupported('sessions.delete')}>🗑️ Delete</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Readable name from a session key, e.g. agent:main:whatsapp:direct:+123 -> whatsapp/+123
+  getSessionName(sessionKey) {
+    let name = sessionKey || 'Unknown Session';
+    const parts = name.split(':');
+    if (parts.length >= 4) {
+      const channel = parts[2];
+      const target = parts.slice(4).join(':') || parts[3];
+      name = `${channel}/${target}`;
+    }
+    return name;
+  }
+
+  // Session models may be bare ids while models.list has provider/model ids
+  renderModelOptions(current) {
+    const options = this.modelOptions || [];
+    const selected = options.find(id => id === current) || options.find(id => current && id.endsWith(`/${current}`));
+    const all = selected || !current ? options : [current, ...options];
+    if (all.length === 0) return '<option value="">Unknown model</option>';
+    return all.map(id => `<option value="${this.escapeHtml(id)}" ${id === (selected || current) ? 'selected' : ''}>${this.escapeHtml(id)}</option>`).join('');
+  }
+
+  async changeSessionModel(sessionKey, select) {
+    const session = this.sessions.find(s => s.key === sessionKey);
+    const model = select.value;
+    select.disabled = true;
+    try {
+      await gateway.patchSession(sessionKey, { model });
+      if (session) session.model = model;
+      this.addActivity(`Switched ${this.getSessionName(sessionKey)} to ${model}`, 'success');
+    } catch (e) {
+      this.addActivity(`Failed to switch model: ${e.message}`, 'error');
+      select.innerHTML = this.renderModelOptions(session?.model);
+    } finally {
+      select.disabled = false;
+    }
+  }
+
+  async runSessionAction(action, sessionKey, btn) {
+    if (action === 'export') {
+      this.openSessionExport(sessionKey);
+      return;
+    }
+    const session = this.sessions.find(s => s.key === sessionKey);
+    const name = this.getSessionName(sessionKey);
+    const confirmations = {
+      reset: `Reset "${name}"?\n\nThe conversation context is cleared and the next message starts fresh.`,
+      archive: `Archive "${name}"?\n\nThe session is removed from the gateway; its transcript is kept.`,
+      delete: `Delete "${name}" and its transcript?\n\nThis cannot be undone.`
+    };
+    if (confirmations[action] && !confirm(confirmations[action])) return;
+    if (action === 'compact' && !(session?.percentUsed >= EtherPortal.COMPACT_SUGGEST_PERCENT)
+      && !confirm(`"${name}" is only ${session?.percentUsed ?? 0}% full. Compact it anyway?`)) return;
+    
+    const labels = { compact: 'Compacting', reset: 'Resetting', archive: 'Archiving', delete: 'Deleting' };
+    const original = btn.innerHTML;
+    btn.disabled = true;
+    btn.textContent = `${labels[action]}...`;
+    try {
+      if (action === 'compact') await gateway.compactSession(sessionKey);
+      else if (action === 'reset') await gateway.resetSession(sessionKey);
+      else await gateway.deleteSession(sessionKey, { archive: action === 'archive' });
+      
+      const done = { compact: 'Compacted', reset: 'Reset', archive: 'Archived', delete: 'Deleted' };
+      this.addActivity(`${done[action]} session: ${name}`, 'success');
+      this.chatHistory.delete(sessionKey);
+      if (sessionKey === this.sessionKey) {
+        if (action === 'archive' || action === 'delete') this.clearSelectedSession();
+        else this.loadSessionHistory(sessionKey);
+      }
+      this.loadSessions();
+    } catch (e) {
+      this.addActivity(`Failed to ${action} session ${name}: ${e.message}`, 'error');
+      btn.disabled = false;
+      btn.innerHTML = original;
+    }
+  }
+
+  // Transcript export - one session as a file, or every session matching a filter as a zip
+  openSessionExport(sessionKey = null) {
+    if (this.sessionExport?.running) return;
+    this.sessionExport = sessionKey ? { sessionKey } : { sessions: null };
+    document.getElementById('session-export-title').textContent = sessionKey
+      ? `Export ${this.getSessionName(sessionKey)}`
+      : 'Export Transcripts';
+    document.getElementById('session-export-filters').classList.toggle('hidden', !!sessionKey);
+    document.getElementById('session-export-progress').classList.add('hidden');
+    const panel = document.getElementById('session-export');
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.renderSessionExport();
+    if (!sessionKey) this.loadExportSessions();
+  }
+
+  closeSessionExport() {
+    this.loadControllers.get('export')?.abort();
+    this.sessionExport = null;
+    document.getElementById('session-export').classList.add('hidden');
+  }
+
+  // Bulk exports may reach further back than the session list shows
+  async loadExportSessions() {
+    if (!this.sessionExport || this.sessionExport.sessionKey) return;
+    const activeMinutes = Number(document.getElementById('session-export-active').value);
+    const signal = this.beginLoad('export-list');
+    this.sessionExport.sessions = null;
+    this.renderSessionExport();
+    try {
+      const result = await gateway.getSessions({ activeMinutes }, { signal });
+      if (!this.sessionExport) return;
+      this.sessionExport.sessions = result?.sessions || [];
+    } catch (e) {
+      if (e.aborted || !this.sessionExport) return;
+      this.sessionExport.sessions = [];
+      this.addActivity(`Failed to list sessions for export: ${e.message}`, 'error');
+    } finally {
+      this.endLoad('export-list', signal);
+    }
+    this.renderSessionExport();
+  }
+
+  getExportSessions() {
+    const state = this.sessionExport;
+    if (!state) return [];
+    if (state.sessionKey) {
+      return [this.sessions.find(s => s.key === state.sessionKey) || { key: state.sessionKey }];
+    }
+    const filter = document.getElementById('session-export-filter').value.trim().toLowerCase();
+    const kind = document.getElementById('session-export-kind').value;
+    return (state.sessions || []).filter(session =>
+      (!kind || (session.kind || 'direct') === kind)
+      && (!filter || `${session.key} ${this.getSessionName(session.key)}`.toLowerCase().includes(filter)));
+  }
+
+  renderSessionExport() {
+    const state = this.sessionExport;
+    if (!state) return;
+    document.querySelectorAll('#session-export-format button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.format === this.transcriptFormat);
+      btn.disabled = !!state.running;
+    });
+    
+    const summary = document.getElementById('session-export-summary');
+    const btn = document.getElementById('session-export-download');
+    const count = this.getExportSessions().length;
+    const format = TranscriptExport.FORMATS[this.transcriptFormat];
+    if (state.sessionKey) {
+      summary.textContent = `Full history as ${format.label}`;
+    } else if (!state.sessions) {
+      summary.textContent = 'Loading sessions...';
+    } else {
+      summary.textContent = `${count} session${count === 1 ? '' : 's'} match · zip of ${format.label} files`;
+    }
+    btn.disabled = !!state.running || count === 0;
+    btn.textContent = state.running ? 'Exporting...' : '💾 Export';
+    document.getElementById('session-export-cancel').textContent = state.running ? '⏹️ Stop' : 'Cancel';
+  }
+
+  setExportProgress(text, type = '') {
+    const progress = document.getElementById('session-export-progress');
+    progress.className = `transcript-search-status ${type}`;
+    progress.textContent = text;
+  }
+
+  async exportTranscripts() {
+    const state = this.sessionExport;
+    const sessions = this.getExportSessions();
+    if (!state || state.running || sessions.length === 0) return;
+    
+    const format = this.transcriptFormat;
+    const includeTools = document.getElementById('session-export-tools').checked;
+    const signal = this.beginLoad('export');
+    const zip = state.sessionKey ? null : new ZipWriter();
+    const failures = [];
+    state.running = true;
+    this.renderSessionExport();
+    
+    try {
+      for (let i = 0; i < sessions.length; i++) {
+        const session = sessions[i];
+        const name = this.getSessionName(session.key);
+        const prefix = zip ? `${i + 1}/${sessions.length}: ` : '';
+        this.setExportProgress(`${prefix}Fetching ${name}...`);
+        try {
+          const messages = await TranscriptExport.fetchAll(session.key, (sessionKey, params) =>
+            gateway.getSessionHistory(sessionKey, { limit: TranscriptExport.PAGE_SIZE, includeTools, ...params }, { signal }), {
+            onPage: (loaded) => this.setExportProgress(`${prefix}Fetching ${name}... ${loaded} messages`)
+          });
+          const file = TranscriptExport.build(session, messages, { format, includeTools });
+          if (zip) {
+            zip.add(file.fileName, file.content, session.updatedAt ? new Date(session.updatedAt) : new Date());
+          } else {
+            this.downloadFile(file.fileName, file.content, file.mimeType);
+          }
+        } catch (e) {
+          if (e.aborted) throw e;
+          if (!zip) throw e;
+          failures.push(`${session.key}: ${e.message}`);
+        }
+      }
+      
+      if (zip) {
+        if (failures.length) zip.add('export-errors.txt', `${failures.join('\n')}\n`);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        this.downloadFile(`openclaw-transcripts-${stamp}.zip`, zip.toBlob());
+      }
+      const exported = sessions.length - failures.length;
+      const label = TranscriptExport.FORMATS[format].label;
+      this.addActivity(zip
+        ? `Exported ${exported} transcript${exported === 1 ? '' : 's'} as ${label}${failures.length ? ` (${failures.length} failed)` : ''}`
+        : `Exported transcript of ${this.getSessionName(sessions[0].key)} as ${label}`, failures.length ? 'warning' : 'success');
+      this.setExportProgress(failures.length
+        ? `Done - ${failures.length} session${failures.length === 1 ? '' : 's'} failed, see export-errors.txt in the archive`
+        : 'Done', failures.length ? 'error' : '');
+    } catch (e) {
+      this.setExportProgress(e.aborted ? 'Export stopped' : `Export failed: ${e.message}`, e.aborted ? '' : 'error');
+      if (!e.aborted) this.addActivity(`Transcript export failed: ${e.message}`, 'error');
+    } finally {
+      this.endLoad('export', signal);
+      state.running = false;
+      this.renderSessionExport();
+    }
+  }
+
+  clearSelectedSession() {
+    this.sessionKey = null;
+    this.resetChatStreams();
+    this.chatToolCalls.clear();
+    document.getElementById('chat-messages').innerHTML = `
+      <div class="chat-welcome">
+        <span class="welcome-icon">💬</span>
+        <p>This session was removed</p>
+        <p style="font-size: 12px; margin-top: 8px; color: var(--text-muted);">
+          Select a session from the Sessions tab
+        </p>
       </div>
     `;
   }
@@ -819,92 +2060,1553 @@ class EtherPortal {
     });
     
     // Load session history
-    this.loadSessionHistory(sessionKey);
+    const loaded = this.loadSessionHistory(sessionKey);
     
     // Switch to chat tab
     this.switchTab('chat');
+    return loaded;
   }
 
-  async loadSessionHistory(sessionKey) {
-    const container = document.getElementById('chat-messages');
-    container.innerHTML = '<div class="loading"><span class="spinner"></span> Loading history...</div>';
+  // Transcript search - the gateway's sessions.search when it has one, else a local index
+  async searchTranscripts() {
+    const query = document.getElementById('transcript-search-input').value.trim();
+    if (!query) return;
+    if (!gateway.isConnected()) {
+      this.setSearchStatus('Connect to a gateway to search');
+      return;
+    }
+    const signal = this.beginLoad('search');
+    const resultsEl = document.getElementById('transcript-search-results');
+    resultsEl.classList.add('hidden');
+    this.setSearchStatus('<span class="spinner"></span> Searching...');
     
     try {
-      const result = await gateway.getSessionHistory(sessionKey, 30);
-      const messages = result?.messages || [];
-      
-      container.innerHTML = '';
-      
-      if (messages.length === 0) {
-        container.innerHTML = `
-          <div class="chat-welcome">
-            <span class="welcome-icon">💬</span>
-            <p>No messages in this session yet</p>
-            <p style="font-size: 12px; margin-top: 8px; color: var(--text-muted);">
-              Send a message below to start
-            </p>
-          </div>
-        `;
-        return;
-      }
-      
-      // Display messages (oldest first)
-      messages.reverse().forEach(msg => {
-        if (msg.role === 'user' || msg.role === 'assistant') {
-          const content = typeof msg.content === 'string' 
-            ? msg.content 
-            : (msg.content?.map?.(c => c.text || '').join('') || '');
-          
-          if (content.trim()) {
-            this.addChatMessage(msg.role, content, new Date(msg.timestamp || Date.now()));
-          }
+      let results = null;
+      let source = 'gateway';
+      if (this.serverSearch !== false && gateway.supports('sessions.search') !== false) {
+        try {
+          results = TranscriptSearch.fromServer(await gateway.searchSessions(query, {}, { signal }), query);
+          this.serverSearch = true;
+        } catch (e) {
+          // A gateway that has answered before has a real problem; one that never has just lacks it
+          if (e.aborted || this.serverSearch === true) throw e;
+          console.log('[Search] Gateway search unavailable, searching locally:', e.message);
+          this.serverSearch = false;
         }
-      });
-      
-      container.scrollTop = container.scrollHeight;
+      }
+      if (!results) {
+        source = 'local';
+        await this.updateSearchIndex(signal);
+        if (signal.aborted) return;
+        results = this.transcriptSearch.search(query);
+      }
+      this.renderSearchResults(results, source);
     } catch (e) {
-      container.innerHTML = `
-        <div class="chat-welcome">
-          <span class="welcome-icon">⚠️</span>
-          <p>Failed to load history</p>
-          <p style="font-size: 12px; margin-top: 8px; color: var(--text-muted);">
-            ${this.escapeHtml(e.message)}
-          </p>
-        </div>
-      `;
+      if (e.aborted) return;
+      this.setSearchStatus(`Search failed: ${this.escapeHtml(e.message)}`, 'error');
+    } finally {
+      this.endLoad('search', signal);
     }
   }
 
-  async runJob(jobId) {
-    const job = this.jobs.find(j => j.id === jobId);
-    const jobName = job?.name || jobId;
-    
-    this.addActivity(`Running job: ${jobName}...`, 'info');
-    
-    try {
-      await gateway.runCronJob(jobId);
-      this.addActivity(`Job triggered: ${jobName}`, 'success');
-    } catch (e) {
-      this.addActivity(`Failed to run job: ${e.message}`, 'error');
-    }
+  // Index sessions active in the last year whose transcripts changed since the last search
+  async updateSearchIndex(signal) {
+    const scope = gateway.config.profileId;
+    const result = await gateway.getSessions({ activeMinutes: 60 * 24 * 365 }, { signal });
+    await this.transcriptSearch.indexSessions(scope, result?.sessions || [], (sessionKey, params) =>
+      gateway.getSessionHistory(sessionKey, { limit: TranscriptSearch.PAGE_SIZE, ...params }, { signal }), {
+      signal,
+      onProgress: (done, total, sessionKey) => {
+        if (sessionKey) this.setSearchStatus(`<span class="spinner"></span> Indexing transcripts ${done + 1}/${total}: ${this.escapeHtml(this.getSessionName(sessionKey))}`);
+      }
+    });
   }
 
-  async toggleJob(jobId, currentEnabled) {
-    const job = this.jobs.find(j => j.id === jobId);
-    const jobName = job?.name || jobId;
-    
-    try {
-      await gateway.toggleCronJob(jobId, !currentEnabled);
-      this.addActivity(`${currentEnabled ? 'Disabled' : 'Enabled'} job: ${jobName}`, 'success');
-      await this.loadJobs();
-    } catch (e) {
-      this.addActivity(`Failed to toggle job: ${e.message}`, 'error');
+  async rebuildSearchIndex() {
+    if (!confirm('Fetch every transcript again for local search? This can take a while on gateways with many sessions.')) return;
+    await this.transcriptSearch.clear(gateway.config.profileId);
+    this.serverSearch = false; // Rebuilding only makes sense for the local index
+    if (document.getElementById('transcript-search-input').value.trim()) {
+      this.searchTranscripts();
+    } else {
+      this.setSearchStatus('Local index cleared - it is rebuilt on the next search');
     }
   }
 
-  filterJobs(query) {
-    const q = query.toLowerCase().trim();
-    document.querySelectorAll('.job-card').forEach(card => {
+  setSearchStatus(html, type = '') {
+    const status = document.getElementById('transcript-search-status');
+    status.className = `transcript-search-status ${type}`;
+    status.innerHTML = html;
+  }
+
+  clearTranscriptSearch() {
+    this.loadControllers.get('search')?.abort();
+    document.getElementById('transcript-search-input').value = '';
+    document.getElementById('transcript-search-status').classList.add('hidden');
+    document.getElementById('transcript-search-results').classList.add('hidden');
+  }
+
+  renderSearchResults(results, source) {
+    const resultsEl = document.getElementById('transcript-search-results');
+    const where = source === 'gateway'
+      ? 'from the gateway'
+      : `in ${this.transcriptSearch.docs.size} indexed session${this.transcriptSearch.docs.size === 1 ? '' : 's'} (index stored unencrypted in this browser)`;
+    this.setSearchStatus(`${results.length} match${results.length === 1 ? '' : 'es'} ${where}${results.length >= TranscriptSearch.MAX_RESULTS ? ' (showing the first ' + TranscriptSearch.MAX_RESULTS + ')' : ''}`);
+    resultsEl.classList.toggle('hidden', results.length === 0);
+    
+    resultsEl.innerHTML = results.map(result => {
+      const when = result.timestamp ? new Date(result.timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '';
+      return `
+        <div class="search-result" data-key="${this.escapeHtml(result.sessionKey)}" data-message-id="${this.escapeHtml(result.messageId || '')}" data-timestamp="${this.escapeHtml(String(result.timestamp ?? ''))}">
+          <div class="search-result-meta">
+            <span>${result.role === 'user' ? '👤' : result.role === 'assistant' ? '🤖' : '💬'} ${this.escapeHtml(this.getSessionName(result.sessionKey))}</span>
+            <span>${this.escapeHtml(when)}</span>
+          </div>
+          <div class="search-result-snippet">${this.highlightSnippet(result.snippet)}</div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  highlightSnippet({ text, ranges }) {
+    let html = '';
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+      html += `${this.escapeHtml(text.slice(position, start))}<mark>${this.escapeHtml(text.slice(start, end))}</mark>`;
+      position = end;
+    });
+    return html + this.escapeHtml(text.slice(position));
+  }
+
+  // Open the session in the Chat tab and page back until the message is on screen
+  async jumpToMessage(sessionKey, { messageId = '', timestamp = '' } = {}) {
+    await this.selectSession(sessionKey);
+    const container = document.getElementById('chat-messages');
+    const target = timestamp ? new Date(isNaN(timestamp) ? timestamp : Number(timestamp)).getTime() : null;
+    const find = () => (messageId && container.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`))
+      || (target && [...container.querySelectorAll('.message[data-timestamp]')].find(el => Number(el.dataset.timestamp) === target))
+      || null;
+    
+    let el = find();
+    for (let attempt = 0; !el && attempt < 100 && this.sessionKey === sessionKey; attempt++) {
+      if (this.loadControllers.has('history') || this.loadControllers.has('older')) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      } else {
+        const entry = this.chatHistory.get(sessionKey);
+        const oldest = entry?.messages[0]?.timestamp;
+        if (!entry?.older || (target && oldest && new Date(oldest).getTime() < target)) break;
+        await this.loadOlderMessages();
+      }
+      el = find();
+    }
+    
+    if (!el) {
+      if (this.sessionKey === sessionKey) this.addChatMessage('system', 'Could not find that message in the loaded history');
+      return;
+    }
+    el.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    el.classList.add('search-hit');
+    setTimeout(() => el.classList.remove('search-hit'), 2500);
+  }
+
+  // Shows the cached pages at once (if any), then fetches the newest page and merges it in
+  async loadSessionHistory(sessionKey) {
+    const container = document.getElementById('chat-messages');
+    this.resetChatStreams();
+    this.loadControllers.get('older')?.abort();
+    const cached = this.chatHistory.get(sessionKey);
+    if (cached) {
+      this.renderChatHistory(sessionKey);
+    } else {
+      container.innerHTML = '<div class="loading"><span class="spinner"></span> Loading history...</div>';
+    }
+    // Selecting another session makes this load stale
+    const signal = this.beginLoad('history');
+    
+    try {
+      const limit = EtherPortal.HISTORY_PAGE_SIZE;
+      const result = await gateway.getSessionHistory(sessionKey, { limit, includeTools: this.showToolCalls }, { signal });
+      const { replaced, appended } = this.chatHistory.setLatest(sessionKey, ChatHistoryCache.page(result, limit));
+      if (!cached || replaced) {
+        this.renderChatHistory(sessionKey);
+      } else {
+        appended.forEach(msg => {
+          const content = this.getHistoryMessageText(msg);
+          const attachments = this.getMessageAttachments(msg);
+          if (content || attachments.length) {
+            const el = this.addChatMessage(msg.role, content || '', msg.timestamp || null, attachments);
+            if (msg.id || msg.messageId) el.dataset.messageId = msg.id || msg.messageId;
+          }
+          if (this.showToolCalls) this.addToolActivity(msg);
+        });
+      }
+    } catch (e) {
+      if (e.aborted) return;
+      if (cached) {
+        this.addChatMessage('system', `Showing saved history - refresh failed: ${e.message}`);
+        return;
+      }
+      container.innerHTML = `
+        <div class="chat-welcome">
+          <span class="welcome-icon">⚠️</span>
+          <p>Failed to load history</p>
+          <p style="font-size: 12px; margin-top: 8px; color: var(--text-muted);">
+            ${this.escapeHtml(e.message)}
+          </p>
+        </div>
+      `;
+    } finally {
+      this.endLoad('history', signal);
+    }
+  }
+
+  // Text of a history message worth showing, or null
+  getHistoryMessageText(msg) {
+    if (msg.role !== 'user' && msg.role !== 'assistant') return null;
+    const content = this.extractMessageText(msg.content);
+    return content.trim() ? content : null;
+  }
+
+  // Image and file parts of a message: [{ kind, name, mimeType, url }]
+  getMessageAttachments(msg) {
+    if ((msg?.role !== 'user' && msg?.role !== 'assistant') || !Array.isArray(msg.content)) return [];
+    return msg.content.map(part => {
+      if (part.type !== 'image' && part.type !== 'file' && part.type !== 'document') return null;
+      const mimeType = part.mimeType || part.mediaType || part.source?.media_type || 'application/octet-stream';
+      const data = part.data ?? (part.source?.type === 'base64' ? part.source.data : null);
+      const link = part.url || part.source?.url;
+      const url = data ? `data:${mimeType};base64,${data}` : /^https?:\/\//i.test(link || '') ? link : null;
+      return {
+        kind: part.type === 'image' || mimeType.startsWith('image/') ? 'image' : 'file',
+        name: part.fileName || part.filename || part.name || part.source?.filename || (part.type === 'image' ? 'image' : 'file'),
+        mimeType,
+        url
+      };
+    }).filter(Boolean);
+  }
+
+  renderChatHistory(sessionKey) {
+    const container = document.getElementById('chat-messages');
+    const entry = this.chatHistory.get(sessionKey);
+    const messages = entry?.messages || [];
+    this.chatToolCalls = this.showToolCalls ? ToolTranscript.index(messages) : new Map();
+    const { fragment } = this.buildHistoryElements(messages);
+    
+    if (!fragment.hasChildNodes() && !entry?.older) {
+      container.innerHTML = `
+        <div class="chat-welcome">
+          <span class="welcome-icon">💬</span>
+          <p>No messages in this session yet</p>
+          <p style="font-size: 12px; margin-top: 8px; color: var(--text-muted);">
+            Send a message below to start
+          </p>
+        </div>
+      `;
+      return;
+    }
+    
+    container.innerHTML = '<div class="chat-history-top"></div>';
+    container.appendChild(fragment);
+    this.renderHistoryTop();
+    this.unseenChatMessages = 0;
+    container.scrollTop = container.scrollHeight;
+    this.updateJumpToLatest();
+    this.loadOlderIfNeeded();
+  }
+
+  // Message elements (and tool cards, when shown) with a date separator wherever the day changes
+  buildHistoryElements(messages) {
+    const fragment = document.createDocumentFragment();
+    let day = null;
+    const add = (el, timestamp) => {
+      if (el.dataset.day && el.dataset.day !== day) {
+        fragment.appendChild(this.createDateSeparator(timestamp));
+        day = el.dataset.day;
+      }
+      fragment.appendChild(el);
+    };
+    messages.forEach(msg => {
+      const content = this.getHistoryMessageText(msg);
+      const attachments = this.getMessageAttachments(msg);
+      if (content || attachments.length) {
+        const el = this.createChatMessage(msg.role, content || '', msg.timestamp || null, attachments);
+        if (msg.id || msg.messageId) el.dataset.messageId = msg.id || msg.messageId;
+        add(el, msg.timestamp);
+      }
+      if (this.showToolCalls) {
+        this.getToolCardRecords(msg).forEach(record => add(this.createToolCard(record, msg.timestamp), msg.timestamp));
+      }
+    });
+    return { fragment, lastDay: day };
+  }
+
+  // The tool calls a message starts, plus results that have no call to sit under
+  getToolCardRecords(msg) {
+    const calls = ToolTranscript.calls(msg).map(call => this.chatToolCalls.get(call.id));
+    const orphans = ToolTranscript.results(msg)
+      .map(result => result.id ? this.chatToolCalls.get(result.id) : ToolTranscript.settle({ ...ToolTranscript.record(null), ...result, hasResult: true }))
+      .filter(record => record && !record.hasCall);
+    return [...calls, ...orphans].filter(Boolean);
+  }
+
+  // Live or freshly fetched tool activity: new calls are appended, results update their call's card
+  addToolActivity(msg) {
+    const container = document.getElementById('chat-messages');
+    ToolTranscript.index([msg], this.chatToolCalls);
+    const records = this.getToolCardRecords(msg);
+    ToolTranscript.results(msg).forEach(result => {
+      const record = result.id && this.chatToolCalls.get(result.id);
+      const card = record?.hasCall && container.querySelector(`.tool-card[data-call-id="${CSS.escape(result.id)}"]`);
+      if (card) card.replaceWith(this.createToolCard(record, card.dataset.timestamp, card.open));
+    });
+    records.forEach(record => {
+      if (record.id && container.querySelector(`.tool-card[data-call-id="${CSS.escape(record.id)}"]`)) return;
+      this.appendChatElement(this.createToolCard(record, msg.timestamp), 'tool', msg.timestamp);
+    });
+  }
+
+  createToolCard(record, timestamp = null, open = false) {
+    const card = document.createElement('details');
+    card.className = `tool-card ${record.status}${record.hasCall ? '' : ' orphan'}`;
+    card.open = open;
+    if (record.id) card.dataset.callId = record.id;
+    if (timestamp) card.dataset.timestamp = timestamp;
+    card.dataset.day = new Date(timestamp || Date.now()).toDateString();
+    
+    const icons = { pending: '⏳', ok: '✅', error: '❌' };
+    const format = (value) => {
+      const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+      return text.length > ToolTranscript.MAX_OUTPUT ? `${text.slice(0, ToolTranscript.MAX_OUTPUT)}\n… (truncated)` : text;
+    };
+    const meta = [
+      record.durationMs != null ? this.formatElapsed(record.durationMs) : null,
+      record.status === 'pending' ? 'no result yet' : record.status === 'error' ? 'failed' : null
+    ].filter(Boolean).join(' · ');
+    const argsEmpty = record.args == null || (typeof record.args === 'object' && Object.keys(record.args).length === 0);
+    
+    card.innerHTML = `
+      <summary>
+        <span class="tool-card-icon">${icons[record.status] || ''}</span>
+        🔧 <code>${this.escapeHtml(record.name || 'tool')}</code>
+        ${meta ? `<span class="tool-card-meta">${this.escapeHtml(meta)}</span>` : ''}
+      </summary>
+      ${record.hasCall ? `<div class="tool-card-label">Arguments</div><pre>${argsEmpty ? '<span class="tool-card-empty">(none)</span>' : this.escapeHtml(format(record.args))}</pre>` : ''}
+      ${record.hasResult ? `<div class="tool-card-label">${record.isError ? 'Error' : 'Output'}</div><pre>${record.output ? this.escapeHtml(format(record.output)) : '<span class="tool-card-empty">(empty)</span>'}</pre>` : ''}
+    `;
+    return card;
+  }
+
+  createDateSeparator(timestamp) {
+    const date = new Date(timestamp);
+    const today = new Date();
+    const yesterday = new Date(Date.now() - 86400000);
+    let label = date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric', year: date.getFullYear() === today.getFullYear() ? undefined : 'numeric' });
+    if (date.toDateString() === today.toDateString()) label = 'Today';
+    else if (date.toDateString() === yesterday.toDateString()) label = 'Yesterday';
+    
+    const el = document.createElement('div');
+    el.className = 'chat-date-separator';
+    el.dataset.day = date.toDateString();
+    el.innerHTML = `<span>${label}</span>`;
+    return el;
+  }
+
+  renderHistoryTop() {
+    const top = document.querySelector('#chat-messages .chat-history-top');
+    if (!top) return;
+    const entry = this.chatHistory.get(this.sessionKey);
+    if (this.loadControllers.has('older')) {
+      top.innerHTML = '<span class="spinner"></span> Loading older messages...';
+    } else if (entry?.older) {
+      top.innerHTML = '<button class="btn-small chat-load-older">⬆️ Load older messages</button>';
+    } else {
+      top.textContent = 'Beginning of conversation';
+    }
+  }
+
+  // Older pages load as the top of the chat comes into view
+  async loadOlderMessages() {
+    const sessionKey = this.sessionKey;
+    const entry = this.chatHistory.get(sessionKey);
+    const container = document.getElementById('chat-messages');
+    const top = container.querySelector('.chat-history-top');
+    if (!entry?.older || !top || this.loadControllers.has('older') || this.loadControllers.has('history')) return;
+    
+    const signal = this.beginLoad('older');
+    this.renderHistoryTop();
+    try {
+      const limit = EtherPortal.HISTORY_PAGE_SIZE;
+      const result = await gateway.getSessionHistory(sessionKey, { limit, includeTools: this.showToolCalls, ...entry.older }, { signal });
+      const added = this.chatHistory.prependOlder(sessionKey, ChatHistoryCache.page(result, limit));
+      if (this.showToolCalls) {
+        ToolTranscript.index(added, this.chatToolCalls);
+        // Results shown on their own until now have their call in this page
+        container.querySelectorAll('.tool-card.orphan[data-call-id]').forEach(card => {
+          if (this.chatToolCalls.get(card.dataset.callId)?.hasCall) card.remove();
+        });
+      }
+      
+      // Keep the messages on screen where they are while content grows above them
+      const fromBottom = container.scrollHeight - container.scrollTop;
+      const { fragment, lastDay } = this.buildHistoryElements(added);
+      const firstSeparator = top.nextElementSibling;
+      if (lastDay && firstSeparator?.classList.contains('chat-date-separator') && firstSeparator.dataset.day === lastDay) {
+        firstSeparator.remove();
+      }
+      top.after(fragment);
+      container.scrollTop = container.scrollHeight - fromBottom;
+    } catch (e) {
+      if (e.aborted) return;
+      top.innerHTML = `<span class="error">Failed to load older messages: ${this.escapeHtml(e.message)}</span> <button class="btn-small chat-load-older">Retry</button>`;
+      return;
+    } finally {
+      this.endLoad('older', signal);
+    }
+    this.renderHistoryTop();
+    this.loadOlderIfNeeded();
+  }
+
+  // Keep loading while the top is in view (a short first page doesn't fill the chat)
+  loadOlderIfNeeded() {
+    const container = document.getElementById('chat-messages');
+    if (container.scrollTop < 120) this.loadOlderMessages();
+  }
+
+  onChatScroll() {
+    const container = document.getElementById('chat-messages');
+    if (container.scrollHeight - container.scrollTop - container.clientHeight < 80) this.unseenChatMessages = 0;
+    this.updateJumpToLatest();
+    if (container.scrollTop < 120) this.loadOlderMessages();
+  }
+
+  updateJumpToLatest() {
+    const container = document.getElementById('chat-messages');
+    const btn = document.getElementById('chat-jump-latest');
+    const fromBottom = container.scrollHeight - container.scrollTop - container.clientHeight;
+    btn.classList.toggle('hidden', fromBottom < 200);
+    btn.textContent = this.unseenChatMessages
+      ? `⬇️ ${this.unseenChatMessages} new message${this.unseenChatMessages === 1 ? '' : 's'}`
+      : '⬇️ Jump to latest';
+  }
+
+  scrollChatToLatest() {
+    const container = document.getElementById('chat-messages');
+    this.unseenChatMessages = 0;
+    container.scrollTo({ top: container.scrollHeight, behavior: 'smooth' });
+  }
+
+  async runJob(jobId) {
+    const job = this.jobs.find(j => j.id === jobId);
+    const jobName = job?.name || jobId;
+    
+    this.addActivity(`Running job: ${jobName}...`, 'info');
+    
+    try {
+      const result = await gateway.runCronJob(jobId);
+      if (result?.queued) {
+        this.addActivity(`Offline - job run queued: ${jobName}`, 'warning');
+        return;
+      }
+      this.addActivity(`Job triggered: ${jobName}`, 'success');
+    } catch (e) {
+      this.addActivity(`Failed to run job: ${e.message}`, 'error');
+    }
+  }
+
+  async toggleJob(jobId, currentEnabled) {
+    const job = this.jobs.find(j => j.id === jobId);
+    const jobName = job?.name || jobId;
+    
+    try {
+      this.jobAlerts.expectChange(jobId);
+      const result = await gateway.toggleCronJob(jobId, !currentEnabled);
+      if (result?.queued) {
+        this.addActivity(`Offline - queued ${currentEnabled ? 'disable' : 'enable'} for job: ${jobName}`, 'warning');
+        return;
+      }
+      this.addActivity(`${currentEnabled ? 'Disabled' : 'Enabled'} job: ${jobName}`, 'success');
+      await this.loadJobs();
+    } catch (e) {
+      this.addActivity(`Failed to toggle job: ${e.message}`, 'error');
+    }
+  }
+
+  // Job selection and bulk actions
+  // Cards hidden by filterJobs() are never part of a range or "select all"
+  getVisibleJobIds() {
+    return [...document.querySelectorAll('#jobs-list .job-card')]
+      .filter(card => card.style.display !== 'none')
+      .map(card => card.dataset.id);
+  }
+
+  toggleJobSelection(jobId, selected, range = false) {
+    let ids = [jobId];
+    if (range && this.lastSelectedJobId) {
+      const visible = this.getVisibleJobIds();
+      const from = visible.indexOf(this.lastSelectedJobId);
+      const to = visible.indexOf(jobId);
+      if (from !== -1 && to !== -1) ids = visible.slice(Math.min(from, to), Math.max(from, to) + 1);
+    }
+    ids.forEach(id => selected ? this.selectedJobIds.add(id) : this.selectedJobIds.delete(id));
+    this.lastSelectedJobId = jobId;
+    this.syncJobSelection();
+  }
+
+  selectVisibleJobs(selected) {
+    this.getVisibleJobIds().forEach(id => selected ? this.selectedJobIds.add(id) : this.selectedJobIds.delete(id));
+    this.lastSelectedJobId = null;
+    this.syncJobSelection();
+  }
+
+  syncJobSelection() {
+    document.querySelectorAll('#jobs-list .job-card').forEach(card => {
+      const selected = this.selectedJobIds.has(card.dataset.id);
+      card.classList.toggle('selected', selected);
+      card.querySelector('.job-select').checked = selected;
+    });
+    this.renderBulkBar();
+  }
+
+  renderBulkBar() {
+    const bar = document.getElementById('job-bulk-bar');
+    bar.classList.toggle('hidden', this.jobsView !== 'list' || this.jobs.length === 0);
+    
+    const count = this.selectedJobIds.size;
+    const visible = this.getVisibleJobIds();
+    const selectAll = document.getElementById('job-select-all');
+    selectAll.checked = visible.length > 0 && visible.every(id => this.selectedJobIds.has(id));
+    selectAll.indeterminate = count > 0 && !selectAll.checked;
+    
+    document.getElementById('job-selection-count').textContent = count
+      ? `${count} selected`
+      : `Select all${document.getElementById('job-filter').value.trim() ? ' matching' : ''}`;
+    bar.querySelectorAll('[data-bulk]').forEach(btn => {
+      btn.disabled = count === 0 || this.bulkRunning;
+    });
+    document.getElementById('job-export-selected').disabled = count === 0;
+    this.renderJobExport();
+  }
+
+  // Apply one action to every selected job in turn, then refresh the list once
+  async runBulkJobAction(action) {
+    const jobs = [...this.selectedJobIds].map(id => this.jobs.find(j => j.id === id)).filter(Boolean);
+    if (jobs.length === 0 || this.bulkRunning) return;
+    
+    const plural = `${jobs.length} job${jobs.length === 1 ? '' : 's'}`;
+    if (action === 'delete' && !confirm(`Delete ${plural}? This cannot be undone.`)) return;
+    if (action === 'run' && jobs.length > 1 && !confirm(`Run ${plural} now?`)) return;
+    
+    this.bulkRunning = true;
+    this.renderBulkBar();
+    const results = jobs.map(job => ({ job, status: 'pending', message: '' }));
+    this.renderBulkProgress(action, results);
+    
+    for (const result of results) {
+      const { job } = result;
+      if ((action === 'enable' && job.enabled) || (action === 'disable' && !job.enabled)) {
+        result.status = 'skipped';
+        result.message = `Already ${action}d`;
+        continue;
+      }
+      
+      result.status = 'working';
+      this.renderBulkProgress(action, results);
+      this.jobAlerts.expectChange(job.id);
+      try {
+        let response;
+        if (action === 'run') response = await gateway.runCronJob(job.id);
+        else if (action === 'delete') response = await gateway.removeCronJob(job.id);
+        else response = await gateway.toggleCronJob(job.id, action === 'enable');
+        result.status = response?.queued ? 'queued' : 'ok';
+        result.message = response?.queued ? 'Queued until reconnected' : '';
+      } catch (e) {
+        result.status = 'error';
+        result.message = e.message;
+      }
+      this.renderBulkProgress(action, results);
+    }
+    
+    this.bulkRunning = false;
+    this.renderBulkProgress(action, results);
+    if (action === 'delete') {
+      results.filter(r => r.status === 'ok').forEach(r => this.selectedJobIds.delete(r.job.id));
+    }
+    
+    const failed = results.filter(r => r.status === 'error').length;
+    this.addActivity(`Bulk ${action}: ${this.summarizeBulkResults(results)}`, failed ? 'warning' : 'success');
+    await this.loadJobs();
+  }
+
+  summarizeBulkResults(results) {
+    const count = (status) => results.filter(r => r.status === status).length;
+    return [
+      [count('ok'), 'succeeded'],
+      [count('queued'), 'queued'],
+      [count('skipped'), 'skipped'],
+      [count('error'), 'failed']
+    ].filter(([n]) => n > 0).map(([n, label]) => `${n} ${label}`).join(' · ') || 'nothing to do';
+  }
+
+  renderBulkProgress(action, results) {
+    const el = document.getElementById('job-bulk-progress');
+    const done = results.filter(r => !['pending', 'working'].includes(r.status)).length;
+    const icons = { pending: '⏸️', working: '⏳', ok: '✅', queued: '📥', skipped: '⏭️', error: '❌' };
+    const labels = { enable: 'Enabling', disable: 'Disabling', run: 'Running', delete: 'Deleting', import: 'Importing' };
+    const finished = done === results.length && !this.bulkRunning;
+    
+    el.classList.remove('hidden');
+    el.innerHTML = `
+      <div class="section-header">
+        <span class="bulk-title">${finished ? this.summarizeBulkResults(results) : `${labels[action]} ${done}/${results.length}...`}</span>
+        ${finished ? '<button class="btn-icon bulk-dismiss" title="Dismiss">✕</button>' : '<span class="spinner"></span>'}
+      </div>
+      <div class="bulk-progress-bar"><span style="width: ${Math.round(done / results.length * 100)}%"></span></div>
+      <ul class="bulk-results">
+        ${results.map(r => `
+          <li class="${r.status}">
+            <span>${icons[r.status]}</span>
+            <span class="bulk-job-name">${this.escapeHtml(r.job.name || r.job.id)}</span>
+            ${r.message ? `<span class="bulk-message">${this.escapeHtml(r.message)}</span>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  // Job import/export
+  openJobExport(scope = this.selectedJobIds.size ? 'selected' : 'all') {
+    this.exportScope = scope;
+    const panel = document.getElementById('job-export');
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.renderJobExport();
+  }
+
+  closeJobExport() {
+    document.getElementById('job-export').classList.add('hidden');
+  }
+
+  buildJobExport() {
+    const jobs = this.exportScope === 'selected'
+      ? this.jobs.filter(j => this.selectedJobIds.has(j.id))
+      : this.jobs;
+    const bundle = JobBundle.create(jobs, { gateway: gateway.config.host || null });
+    return { jobs, content: JobBundle.serialize(bundle, this.exportFormat) };
+  }
+
+  renderJobExport() {
+    if (document.getElementById('job-export').classList.contains('hidden')) return;
+    if (this.exportScope === 'selected' && this.selectedJobIds.size === 0) this.exportScope = 'all';
+    
+    document.querySelectorAll('#job-export-scope button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.scope === this.exportScope);
+      if (btn.dataset.scope === 'selected') {
+        btn.disabled = this.selectedJobIds.size === 0;
+        btn.textContent = `Selected (${this.selectedJobIds.size})`;
+      } else {
+        btn.textContent = `All jobs (${this.jobs.length})`;
+      }
+    });
+    document.querySelectorAll('#job-export-format button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.format === this.exportFormat);
+    });
+    
+    const { jobs, content } = this.buildJobExport();
+    document.getElementById('job-export-summary').textContent = `${jobs.length} job${jobs.length === 1 ? '' : 's'}`;
+    document.getElementById('job-export-preview').textContent = content;
+    document.getElementById('job-export-download').disabled = jobs.length === 0;
+    document.getElementById('job-export-copy').disabled = jobs.length === 0;
+  }
+
+  downloadJobExport() {
+    const { jobs, content } = this.buildJobExport();
+    if (jobs.length === 0) return;
+    
+    const yaml = this.exportFormat === 'yaml';
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    this.downloadFile(`openclaw-jobs-${stamp}.${yaml ? 'yaml' : 'json'}`, content, yaml ? 'application/yaml' : 'application/json');
+    this.addActivity(`Exported ${jobs.length} job${jobs.length === 1 ? '' : 's'} as ${yaml ? 'YAML' : 'JSON'}`, 'success');
+  }
+
+  async copyJobExport() {
+    const btn = document.getElementById('job-export-copy');
+    try {
+      await navigator.clipboard.writeText(this.buildJobExport().content);
+      btn.textContent = '✅ Copied';
+    } catch (e) {
+      alert(`Could not copy to the clipboard: ${e.message}`);
+      return;
+    }
+    setTimeout(() => { btn.textContent = '📋 Copy'; }, 1500);
+  }
+
+  async importJobFile(file) {
+    document.getElementById('job-import-file').value = '';
+    if (!file) return;
+    
+    let bundle;
+    try {
+      bundle = JobBundle.parse(await file.text());
+    } catch (e) {
+      alert(`Could not read ${file.name}: ${e.message}`);
+      return;
+    }
+    
+    this.importPlan = { fileName: file.name, jobs: bundle.jobs, entries: [], excluded: new Set() };
+    document.getElementById('job-import-prune').checked = false;
+    document.getElementById('job-import-title').textContent = `Import Jobs: ${file.name}`;
+    const panel = document.getElementById('job-import');
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.refreshJobImport();
+  }
+
+  closeJobImport() {
+    this.importPlan = null;
+    document.getElementById('job-import').classList.add('hidden');
+  }
+
+  // Re-diff against the current jobs, keeping the user's include/exclude choices
+  refreshJobImport() {
+    if (!this.importPlan) return;
+    this.importPlan.entries = JobBundle.diff(this.importPlan.jobs, this.jobs).map((entry, i) => ({
+      ...entry,
+      key: entry.status === 'missing' ? `missing:${entry.current.id}` : `bundle:${i}`
+    }));
+    this.renderJobImport();
+  }
+
+  getImportTasks() {
+    const plan = this.importPlan;
+    if (!plan) return [];
+    const prune = document.getElementById('job-import-prune').checked;
+    return plan.entries.filter(entry => {
+      if (entry.status === 'missing') return prune;
+      return (entry.status === 'new' || entry.status === 'changed') && !plan.excluded.has(entry.key);
+    });
+  }
+
+  renderJobImport() {
+    const plan = this.importPlan;
+    if (!plan) return;
+    
+    const count = (status) => plan.entries.filter(e => e.status === status).length;
+    const stats = [
+      ['new', 'New'],
+      ['changed', 'Changed'],
+      ['unchanged', 'Unchanged'],
+      ['missing', 'Not in bundle'],
+      ['invalid', 'Invalid']
+    ].filter(([status]) => status !== 'invalid' || count(status) > 0);
+    document.getElementById('job-import-summary').innerHTML = stats.map(([status, label]) => `
+      <div class="job-run-stat ${status === 'invalid' ? 'failing' : ''}">
+        <span class="job-run-stat-value">${count(status)}</span>
+        <span class="job-run-stat-label">${label}</span>
+      </div>
+    `).join('');
+    
+    const prune = document.getElementById('job-import-prune').checked;
+    const order = { invalid: 0, new: 1, changed: 2, missing: 3, unchanged: 4 };
+    const badges = { new: '➕ New', changed: '✏️ Changed', unchanged: '✔️ Unchanged', missing: prune ? '🗑️ Delete' : '➖ Not in bundle', invalid: '⚠️ Invalid' };
+    const entries = [...plan.entries].sort((a, b) => order[a.status] - order[b.status]);
+    
+    document.getElementById('job-import-diff').innerHTML = entries.length === 0
+      ? '<p class="protocol-count">The bundle contains no jobs</p>'
+      : entries.map(entry => {
+        const job = entry.incoming || entry.current;
+        const selectable = entry.status === 'new' || entry.status === 'changed';
+        let detail = '';
+        if (entry.status === 'invalid') {
+          detail = `<div class="job-run-error">${this.escapeHtml(entry.error)}</div>`;
+        } else if (entry.status === 'changed') {
+          detail = `<ul class="job-import-changes">${entry.changes.map(path => `
+            <li>
+              <code>${this.escapeHtml(path)}</code>
+              <span class="job-import-old">${this.escapeHtml(this.formatImportValue(entry.current, path))}</span>
+              →
+              <span class="job-import-new">${this.escapeHtml(this.formatImportValue(entry.incoming, path))}</span>
+            </li>
+          `).join('')}</ul>`;
+        } else if (job?.schedule) {
+          detail = `<div class="job-run-summary">${this.formatSchedule(job.schedule)}</div>`;
+        }
+        
+        return `
+          <div class="job-import-entry ${entry.status}${selectable && plan.excluded.has(entry.key) ? ' excluded' : ''}">
+            ${selectable
+              ? `<input type="checkbox" class="job-select job-import-include" data-key="${this.escapeHtml(entry.key)}" ${plan.excluded.has(entry.key) ? '' : 'checked'} title="Include in import">`
+              : '<span class="job-import-spacer"></span>'}
+            <div class="job-run-main">
+              <div class="job-import-name">
+                <span class="job-import-badge">${badges[entry.status]}</span>
+                <span>${this.escapeHtml(job?.name || job?.id || 'Unnamed Job')}</span>
+              </div>
+              ${detail}
+            </div>
+          </div>
+        `;
+      }).join('');
+    
+    document.getElementById('job-import-prune').disabled = count('missing') === 0;
+    const tasks = this.getImportTasks().length;
+    const applyBtn = document.getElementById('job-import-apply');
+    applyBtn.disabled = tasks === 0 || this.bulkRunning;
+    applyBtn.textContent = tasks ? `📥 Apply ${tasks} change${tasks === 1 ? '' : 's'}` : '📥 Nothing to import';
+  }
+
+  formatImportValue(job, path) {
+    const value = path.split('.').reduce((obj, key) => obj?.[key], job);
+    if (value === undefined) return '(none)';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  }
+
+  // Create, update (and optionally delete) jobs one at a time, then refresh the list once
+  async applyJobImport() {
+    const plan = this.importPlan;
+    const tasks = this.getImportTasks();
+    if (tasks.length === 0 || this.bulkRunning) return;
+    
+    const deletions = tasks.filter(t => t.status === 'missing').length;
+    if (deletions && !confirm(`Delete ${deletions} job${deletions === 1 ? '' : 's'} that ${deletions === 1 ? 'is' : 'are'} not in the bundle? This cannot be undone.`)) return;
+    
+    this.bulkRunning = true;
+    this.renderBulkBar();
+    this.renderJobImport();
+    const results = tasks.map(entry => ({ job: entry.incoming || entry.current, entry, status: 'pending', message: '' }));
+    this.renderBulkProgress('import', results);
+    
+    for (const result of results) {
+      const { entry } = result;
+      result.status = 'working';
+      this.renderBulkProgress('import', results);
+      if (entry.current) this.jobAlerts.expectChange(entry.current.id);
+      try {
+        let response;
+        if (entry.status === 'new') response = await gateway.addCronJob(JobBundle.definition(entry.incoming));
+        else if (entry.status === 'changed') response = await gateway.updateCronJob(entry.current.id, JobBundle.patch(JobBundle.definition(entry.current), JobBundle.definition(entry.incoming)));
+        else response = await gateway.removeCronJob(entry.current.id);
+        result.status = response?.queued ? 'queued' : 'ok';
+        result.message = response?.queued
+          ? 'Queued until reconnected'
+          : { new: 'Created', changed: 'Updated', missing: 'Deleted' }[entry.status];
+      } catch (e) {
+        result.status = 'error';
+        result.message = e.message;
+      }
+      this.renderBulkProgress('import', results);
+    }
+    
+    this.bulkRunning = false;
+    this.renderBulkProgress('import', results);
+    
+    const failed = results.filter(r => r.status === 'error').length;
+    this.addActivity(`Imported ${plan.fileName}: ${this.summarizeBulkResults(results)}`, failed ? 'warning' : 'success');
+    // Keep the preview open on failures so the remaining differences can be retried
+    if (!failed) this.closeJobImport();
+    await this.loadJobs();
+  }
+
+  // Job alerts
+  checkAlerts() {
+    if (!this.jobsLoaded) return;
+    const fired = this.jobAlerts.check(this.jobs, {
+      scope: gateway.config.profileId,
+      runsFor: (jobId) => this.jobRuns.list(jobId)
+    });
+    
+    fired.forEach(alert => {
+      this.addActivity(`Alert: ${alert.jobName} - ${alert.message}`, 'error');
+      this.showNotification(`Job alert: ${alert.jobName}`, alert.message);
+    });
+    if (fired.length > 0) this.playSound('error');
+  }
+
+  saveAlertRules() {
+    const number = (id, fallback) => {
+      const value = parseFloat(document.getElementById(id).value);
+      return value > 0 ? value : fallback;
+    };
+    const defaults = JobAlerts.DEFAULT_RULES;
+    this.jobAlerts.setRules({
+      failures: { enabled: document.getElementById('alert-failures-enabled').checked, count: Math.round(number('alert-failures-count', defaults.failures.count)) },
+      overdue: { enabled: document.getElementById('alert-overdue-enabled').checked, minutes: number('alert-overdue-minutes', defaults.overdue.minutes) },
+      longRunning: { enabled: document.getElementById('alert-long-enabled').checked, factor: Math.max(1.5, number('alert-long-factor', defaults.longRunning.factor)) },
+      disabled: { enabled: document.getElementById('alert-disabled-enabled').checked }
+    });
+    this.saveSettings();
+    this.checkAlerts();
+  }
+
+  renderAlertRules() {
+    const { failures, overdue, longRunning, disabled } = this.jobAlerts.rules;
+    document.getElementById('alert-failures-enabled').checked = failures.enabled;
+    document.getElementById('alert-failures-count').value = failures.count;
+    document.getElementById('alert-overdue-enabled').checked = overdue.enabled;
+    document.getElementById('alert-overdue-minutes').value = overdue.minutes;
+    document.getElementById('alert-long-enabled').checked = longRunning.enabled;
+    document.getElementById('alert-long-factor').value = longRunning.factor;
+    document.getElementById('alert-disabled-enabled').checked = disabled.enabled;
+  }
+
+  renderAlerts() {
+    this.renderAlertRules();
+    const scope = gateway.config.profileId;
+    const alerts = this.jobAlerts.list(scope);
+    const pending = this.jobAlerts.pending(scope).length;
+    
+    const badge = document.getElementById('alert-badge');
+    badge.textContent = pending;
+    badge.classList.toggle('hidden', pending === 0);
+    document.getElementById('clear-resolved-alerts').disabled = !alerts.some(a => a.resolvedAt);
+    
+    const container = document.getElementById('alert-list');
+    if (alerts.length === 0) {
+      container.innerHTML = '<div class="empty-state small"><span class="icon">✅</span><p>No alerts</p></div>';
+      return;
+    }
+    
+    const icons = { failures: '❌', overdue: '⏰', longRunning: '🐢', disabled: '⏸️' };
+    const now = Date.now();
+    const time = (ms) => new Date(ms).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    // Open alerts first, then newest first
+    const sorted = [...alerts].sort((a, b) => (!!a.resolvedAt - !!b.resolvedAt) || b.firstAt - a.firstAt);
+    
+    container.innerHTML = sorted.map(alert => {
+      const snoozed = alert.snoozedUntil && alert.snoozedUntil > now;
+      let state = `Since ${time(alert.firstAt)}`;
+      if (alert.resolvedAt) state = `Resolved ${time(alert.resolvedAt)}`;
+      else if (alert.acknowledged) state += ' · Acknowledged';
+      else if (snoozed) state += ` · Snoozed until ${time(alert.snoozedUntil)}`;
+      const open = !alert.resolvedAt && !alert.acknowledged;
+      
+      return `
+        <div class="activity-item alert-item ${alert.resolvedAt ? 'resolved' : open && !snoozed ? 'error' : 'warning'}" data-id="${this.escapeHtml(alert.id)}" data-job="${this.escapeHtml(alert.jobId)}">
+          <span class="activity-icon">${icons[alert.rule] || '🚨'}</span>
+          <div class="alert-main">
+            <div class="alert-title">${this.escapeHtml(alert.jobName)}</div>
+            <div class="activity-text">${this.escapeHtml(alert.message)}</div>
+            <div class="activity-time">${state}</div>
+          </div>
+          <div class="alert-actions">
+            <button class="btn-small alert-history" title="Show run history">📜</button>
+            ${open ? `
+              <select class="filter-input alert-snooze" title="Snooze">
+                <option value="">💤 Snooze</option>
+                <option value="15">15 minutes</option>
+                <option value="60">1 hour</option>
+                <option value="240">4 hours</option>
+                <option value="1440">1 day</option>
+              </select>
+              <button class="btn-small alert-ack" title="Silence until this clears">✓ Acknowledge</button>
+            ` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // The gateway reports its timezone in gateway.status; cron jobs without a tz run in it
+  getGatewayTimezone() {
+    const tz = this.systemInfo?.status?.timezone || this.systemInfo?.status?.tz;
+    if (!tz) return null;
+    try {
+      CronExpression.formatter(tz);
+      return tz;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Jobs timeline
+  setJobsView(view) {
+    this.jobsView = view;
+    document.querySelectorAll('#jobs-view button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.view === view);
+    });
+    document.getElementById('jobs-list').classList.toggle('hidden', view !== 'list');
+    document.getElementById('jobs-timeline').classList.toggle('hidden', view !== 'timeline');
+    this.renderTimeline();
+    this.renderBulkBar();
+  }
+
+  renderTimeline() {
+    if (this.jobsView !== 'timeline') return;
+    const chart = document.getElementById('timeline-chart');
+    const gatewayTz = this.getGatewayTimezone();
+
+    const zoneBtn = document.querySelector('#timeline-zone [data-zone="gateway"]');
+    zoneBtn.disabled = !gatewayTz;
+    zoneBtn.title = gatewayTz || 'The gateway has not reported its timezone';
+    const zone = gatewayTz ? this.timelineZone : 'local';
+    document.querySelectorAll('#timeline-range button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.range === this.timelineRange);
+    });
+    document.querySelectorAll('#timeline-zone button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.zone === zone);
+    });
+
+    const tz = zone === 'gateway' ? gatewayTz : null;
+    const week = this.timelineRange === '7d';
+    const from = Date.now();
+    const span = week ? 7 * 86400000 : 86400000;
+    const until = from + span;
+
+    const q = document.getElementById('job-filter').value.toLowerCase().trim();
+    const jobs = this.jobs.filter(j => !q || (j.name || '').toLowerCase().includes(q));
+    const { rows, overlapCount } = JobTimeline.build(jobs, {
+      from,
+      until,
+      gatewayTz,
+      durationFor: (jobId) => this.jobRuns.getSummary(jobId).avgDurationMs
+    });
+
+    const runCount = rows.reduce((n, row) => n + row.runs.length, 0);
+    const zoneName = tz || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    document.getElementById('timeline-summary').textContent =
+      `${runCount} run${runCount === 1 ? '' : 's'}` + (overlapCount ? ` · ${overlapCount} overlapping` : '') + ` · ${zoneName}`;
+
+    if (rows.length === 0) {
+      chart.innerHTML = `<div class="empty-state small"><span class="icon">📅</span><p>No runs scheduled in the next ${week ? '7 days' : '24 hours'}</p></div>`;
+      return;
+    }
+
+    const pos = (t) => Math.max(0, Math.min(100, (t - from) / span * 100));
+    const ticks = JobTimeline.ticks(from, until, tz, week ? 24 : 3);
+    // Tick walls are wall-clock times encoded as UTC
+    const tickLabel = (wall) => new Date(wall).toLocaleString([], week
+      ? { timeZone: 'UTC', weekday: 'short', day: 'numeric' }
+      : { timeZone: 'UTC', hour: '2-digit', minute: '2-digit' });
+    const runLabel = (t) => new Date(t).toLocaleString([], {
+      timeZone: tz || undefined, weekday: 'short', hour: '2-digit', minute: '2-digit', timeZoneName: 'short'
+    });
+    const jobName = (id) => this.jobs.find(j => j.id === id)?.name || id;
+    const gridlines = ticks.map(t => `<span class="timeline-gridline" style="left: ${pos(t.time)}%"></span>`).join('');
+
+    chart.innerHTML = `
+      <div class="timeline-row timeline-axis">
+        <div class="timeline-label"></div>
+        <div class="timeline-track">
+          ${ticks.map(t => `<span class="timeline-tick" style="left: ${pos(t.time)}%">${tickLabel(t.wall)}</span>`).join('')}
+        </div>
+      </div>
+      ${rows.map(({ job, runs }) => `
+        <div class="timeline-row">
+          <div class="timeline-label" title="${this.escapeHtml(job.name || job.id)}">${this.escapeHtml(job.name || 'Unnamed Job')}</div>
+          <div class="timeline-track">
+            ${gridlines}
+            ${runs.map(run => {
+              const title = `${job.name || job.id} at ${runLabel(run.time)}`
+                + (run.conflicts.length ? `\nOverlaps: ${run.conflicts.map(jobName).join(', ')}` : '');
+              return `<button class="timeline-slot ${job.schedule?.kind === 'at' ? 'once' : ''} ${run.conflicts.length ? 'overlap' : ''}"
+                style="left: ${pos(run.time)}%; width: ${pos(run.end) - pos(run.time)}%"
+                data-id="${this.escapeHtml(job.id)}" title="${this.escapeHtml(title)}"></button>`;
+            }).join('')}
+          </div>
+        </div>
+      `).join('')}
+    `;
+
+    chart.querySelectorAll('.timeline-slot').forEach(slot => {
+      slot.addEventListener('click', () => this.openJobDetail(slot.dataset.id));
+    });
+  }
+
+  // Live job output
+  openJobLive(jobId) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (this.liveJobId !== jobId) this.openLiveTools.clear();
+    this.liveJobId = jobId;
+    
+    // Opened mid-run: start following now, earlier output was never received
+    const runningSince = job?.state?.runningAtMs ?? this.jobRuns.list(jobId).find(r => r.status === 'running')?.startedAt;
+    if (job && runningSince && this.jobOutput.get(jobId)?.status !== 'running') {
+      this.jobOutput.start(job, { startedAt: runningSince, note: 'Joined a run already in progress - earlier output is not shown' });
+    }
+    
+    document.getElementById('job-live-title').textContent = `Live Output: ${job?.name || jobId}`;
+    document.getElementById('job-live-follow').checked = true;
+    const panel = document.getElementById('job-live');
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.renderJobLive();
+  }
+
+  closeJobLive() {
+    this.liveJobId = null;
+    this.openLiveTools.clear();
+    document.getElementById('job-live').classList.add('hidden');
+  }
+
+  scheduleLiveRender() {
+    if (!this.liveJobId || this.liveRenderPending) return;
+    this.liveRenderPending = true;
+    requestAnimationFrame(() => {
+      this.liveRenderPending = false;
+      this.renderJobLive();
+    });
+  }
+
+  renderJobLive() {
+    if (!this.liveJobId) return;
+    const output = this.jobOutput.get(this.liveJobId);
+    const statusEl = document.getElementById('job-live-status');
+    const metaEl = document.getElementById('job-live-meta');
+    const log = document.getElementById('job-live-log');
+    const abortBtn = document.getElementById('job-live-abort');
+    
+    const running = output?.status === 'running';
+    const labels = { running: '🔄 Running', ok: '✅ Finished', error: '❌ Failed', skipped: '⏭️ Skipped' };
+    statusEl.className = `job-live-status ${output?.status || 'idle'}`;
+    statusEl.textContent = output ? labels[output.status] || output.status : '⏳ Waiting for the next run';
+    
+    abortBtn.classList.toggle('hidden', !running);
+    const supported = gateway.supports('chat.abort') !== false;
+    abortBtn.disabled = !running || !output.sessionKey || !supported;
+    abortBtn.title = !supported
+      ? 'This gateway does not support aborting runs'
+      : running && !output.sessionKey ? 'Waiting for the run to report its session' : 'Stop this run';
+    
+    if (!output) {
+      metaEl.innerHTML = '';
+      log.innerHTML = '<div class="empty-state small"><span class="icon">📡</span><p>Output appears here as soon as this job starts</p></div>';
+      return;
+    }
+    
+    const time = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    const elapsed = (output.finishedAt || Date.now()) - output.startedAt;
+    metaEl.innerHTML = [
+      `Started ${time(output.startedAt)}`,
+      `${running ? 'Running for' : 'Took'} ${this.formatElapsed(elapsed)}`,
+      output.sessionKey ? `Session <code>${this.escapeHtml(output.sessionKey)}</code>` : null,
+      output.runId ? `Run <code>${this.escapeHtml(output.runId)}</code>` : null
+    ].filter(Boolean).join(' · ');
+    
+    const format = (value) => typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    const toolIcons = { running: '⏳', ok: '✅', error: '❌', unknown: '❔' };
+    log.innerHTML = output.entries.length === 0
+      ? `<div class="empty-state small"><span class="icon">⏳</span><p>${running ? 'Waiting for output...' : 'No output was received for this run'}</p></div>`
+      : output.entries.map((entry, i) => {
+        if (entry.kind === 'status') {
+          return `<div class="live-entry live-status ${entry.tone}"><span class="live-time">${time(entry.time)}</span>${this.escapeHtml(entry.text)}</div>`;
+        }
+        if (entry.kind === 'tool') {
+          const key = `tool:${entry.id || i}`;
+          return `
+            <details class="live-entry live-tool ${entry.status}" data-key="${this.escapeHtml(key)}" ${this.openLiveTools.has(key) ? 'open' : ''}>
+              <summary><span class="live-time">${time(entry.time)}</span>${toolIcons[entry.status] || ''} 🔧 <code>${this.escapeHtml(entry.name)}</code></summary>
+              ${entry.args != null ? `<div class="live-tool-label">Arguments</div><pre>${this.escapeHtml(format(entry.args))}</pre>` : ''}
+              ${entry.result != null ? `<div class="live-tool-label">Result</div><pre>${this.escapeHtml(format(entry.result))}</pre>` : ''}
+            </details>
+          `;
+        }
+        return `
+          <div class="live-entry live-text ${entry.streaming ? 'streaming' : ''}">
+            <span class="live-time">${time(entry.time)}</span>
+            <div class="live-text-body">${this.escapeHtml(entry.text)}</div>
+          </div>
+        `;
+      }).join('');
+    
+    if (document.getElementById('job-live-follow').checked) log.scrollTop = log.scrollHeight;
+  }
+
+  async abortJobRun() {
+    const output = this.jobOutput.get(this.liveJobId);
+    if (output?.status !== 'running' || !output.sessionKey) return;
+    if (!confirm(`Abort the running "${output.jobName}" job?`)) return;
+    
+    const btn = document.getElementById('job-live-abort');
+    btn.disabled = true;
+    try {
+      await gateway.abortSessionRun(output.sessionKey, output.runId);
+      this.jobOutput.addStatus(output, 'Abort requested', 'warning');
+      this.addActivity(`Abort requested for job: ${output.jobName}`, 'warning');
+    } catch (e) {
+      this.jobOutput.addStatus(output, `Abort failed: ${e.message}`, 'error');
+      this.addActivity(`Failed to abort job ${output.jobName}: ${e.message}`, 'error');
+    }
+    this.jobOutput.notify(output.jobId);
+  }
+
+  // Job run history
+  openJobDetail(jobId) {
+    this.detailJobId = jobId;
+    const job = this.jobs.find(j => j.id === jobId);
+    document.getElementById('job-detail-title').textContent = `Run History: ${job?.name || jobId}`;
+    
+    const panel = document.getElementById('job-detail');
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    this.renderJobDetail();
+    this.loadJobRuns(jobId);
+  }
+
+  closeJobDetail() {
+    this.detailJobId = null;
+    this.loadControllers.get('runs')?.abort();
+    document.getElementById('job-detail').classList.add('hidden');
+  }
+
+  async loadJobRuns(jobId) {
+    if (!jobId) return;
+    const signal = this.beginLoad('runs');
+    const runsEl = document.getElementById('job-runs');
+    if (!this.jobRuns.isLoaded(jobId)) {
+      runsEl.innerHTML = '<div class="loading"><span class="spinner"></span> Loading runs...</div>';
+    }
+    
+    try {
+      const result = await gateway.getCronRuns(jobId, 50, { signal });
+      this.jobRuns.setHistory(jobId, result?.runs || result?.entries || []);
+    } catch (e) {
+      if (e.aborted || jobId !== this.detailJobId) return;
+      runsEl.innerHTML = `<div class="empty-state error small"><span class="icon">⚠️</span><p>Could not load run history: ${this.escapeHtml(e.message)}</p></div>`;
+    } finally {
+      this.endLoad('runs', signal);
+    }
+  }
+
+  renderJobDetail() {
+    const jobId = this.detailJobId;
+    if (!jobId) return;
+    
+    const summary = this.jobRuns.getSummary(jobId);
+    document.getElementById('job-run-stats').innerHTML = `
+      <div class="job-run-stat">
+        <span class="job-run-stat-value">${summary.finished}</span>
+        <span class="job-run-stat-label">Runs</span>
+      </div>
+      <div class="job-run-stat ${summary.failures ? 'failing' : ''}">
+        <span class="job-run-stat-value">${summary.failureRate == null ? '--' : `${Math.round(summary.failureRate * 100)}%`}</span>
+        <span class="job-run-stat-label">Failure rate</span>
+      </div>
+      <div class="job-run-stat">
+        <span class="job-run-stat-value">${summary.avgDurationMs == null ? '--' : this.formatElapsed(summary.avgDurationMs)}</span>
+        <span class="job-run-stat-label">Avg duration</span>
+      </div>
+      <div class="job-run-stat">
+        <span class="job-run-stat-value">${summary.lastRun?.startedAt ? `${this.formatDuration(Date.now() - summary.lastRun.startedAt)} ago` : '--'}</span>
+        <span class="job-run-stat-label">Last run</span>
+      </div>
+    `;
+    
+    const runs = this.jobRuns.list(jobId);
+    const container = document.getElementById('job-runs');
+    if (runs.length === 0) {
+      if (this.jobRuns.isLoaded(jobId)) {
+        container.innerHTML = '<div class="empty-state small"><span class="icon">📭</span><p>This job has not run yet</p></div>';
+      }
+      return;
+    }
+    
+    const icons = { ok: '✅', error: '❌', running: '⏳', skipped: '⏭️' };
+    const time = (t) => t ? new Date(t).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' }) : '?';
+    container.innerHTML = runs.map(run => `
+      <div class="job-run ${this.escapeHtml(run.status)}">
+        <span class="job-run-status" title="${this.escapeHtml(run.status)}">${icons[run.status] || '•'}</span>
+        <div class="job-run-main">
+          <div class="job-run-times">
+            <span>${time(run.startedAt)}</span>
+            ${run.status === 'running'
+              ? '<span class="job-run-duration">Running...</span>'
+              : `<span>→ ${time(run.finishedAt)}</span>
+                 <span class="job-run-duration">${run.durationMs == null ? '' : this.formatElapsed(run.durationMs)}</span>`}
+          </div>
+          ${run.error ? `<div class="job-run-error">${this.escapeHtml(run.error)}</div>` : ''}
+          ${run.summary ? `<div class="job-run-summary">${this.escapeHtml(run.summary)}</div>` : ''}
+        </div>
+        ${run.sessionKey ? `<button class="btn-small job-run-transcript" data-key="${this.escapeHtml(run.sessionKey)}" title="${this.escapeHtml(run.sessionKey)}">💬 Transcript</button>` : ''}
+      </div>
+    `).join('');
+    
+    container.querySelectorAll('.job-run-transcript').forEach(btn => {
+      btn.addEventListener('click', () => this.selectSession(btn.dataset.key));
+    });
+  }
+
+  // Precise durations for job runs: "850ms", "12.4s", "3m 05s", "1h 12m"
+  formatElapsed(ms) {
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    if (ms < 3600000) return `${Math.floor(ms / 60000)}m ${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}s`;
+    return `${Math.floor(ms / 3600000)}h ${Math.floor(ms / 60000) % 60}m`;
+  }
+
+  // Job editor - editingJobId is null when creating (or duplicating) a job
+  openJobEditor(job = null, { duplicate = false } = {}) {
+    this.editingJobId = job && !duplicate ? job.id : null;
+    // Gateway-owned fields are not part of what gets saved
+    const { id, jobId, state, createdAtMs, updatedAtMs, ...definition } = job || {};
+    this.editorBaseJob = job ? definition : null;
+    const schedule = job?.schedule || { kind: 'every', everyMs: 3600000 };
+    const payload = job?.payload || {};
+    
+    document.getElementById('job-editor-title').textContent = this.editingJobId
+      ? `Edit ${job.name || 'job'}`
+      : duplicate ? 'Duplicate Job' : 'New Job';
+    document.getElementById('job-name').value = job ? (duplicate ? `${job.name || 'Unnamed Job'} (copy)` : job.name || '') : '';
+    document.getElementById('job-schedule-kind').value = schedule.kind;
+    document.getElementById('job-every-minutes').value = schedule.everyMs ? Math.round(schedule.everyMs / 60000) : 60;
+    document.getElementById('job-cron-expr').value = schedule.expr || '';
+    document.getElementById('job-tz').value = schedule.tz || '';
+    document.getElementById('job-at').value = schedule.at ? this.toLocalInputValue(schedule.at) : '';
+    document.getElementById('job-session-target').value = job?.sessionTarget || 'main';
+    document.getElementById('job-prompt').value = payload.text ?? payload.message ?? '';
+    document.getElementById('job-model').value = payload.model || '';
+    document.getElementById('job-enabled').checked = job?.enabled ?? true;
+    document.getElementById('job-delete').classList.toggle('hidden', !this.editingJobId);
+    
+    this.clearJobErrors();
+    this.updateJobEditorFields();
+    this.loadModelOptions();
+    
+    const editor = document.getElementById('job-editor');
+    editor.classList.remove('hidden');
+    editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    document.getElementById('job-name').focus();
+  }
+
+  closeJobEditor() {
+    this.editingJobId = null;
+    this.editorBaseJob = null;
+    document.getElementById('job-editor').classList.add('hidden');
+  }
+
+  // Show the inputs for the chosen schedule kind and payload type
+  updateJobEditorFields() {
+    const kind = document.getElementById('job-schedule-kind').value;
+    document.querySelectorAll('#job-editor .schedule-field').forEach(el => {
+      el.classList.toggle('hidden', el.dataset.kind !== kind);
+    });
+    
+    // Main-session jobs post a system event; isolated jobs run a full agent turn
+    const isolated = document.getElementById('job-session-target').value === 'isolated';
+    document.getElementById('job-prompt-label').textContent = isolated ? 'Prompt' : 'Event text';
+    document.getElementById('job-model-group').classList.toggle('hidden', !isolated);
+    
+    if (kind === 'cron') this.renderCronPreview();
+  }
+
+  // Describe the expression and list its next runs in the job's timezone as the user types
+  renderCronPreview() {
+    const container = document.getElementById('cron-preview');
+    const expr = document.getElementById('job-cron-expr').value.trim();
+    const tz = document.getElementById('job-tz').value.trim();
+    const gatewayTz = this.getGatewayTimezone();
+    if (!expr) {
+      container.innerHTML = '';
+      return;
+    }
+    
+    let cron;
+    try {
+      cron = new CronExpression(expr, tz || gatewayTz);
+    } catch (e) {
+      container.innerHTML = `<p class="cron-preview-error">${this.escapeHtml(e instanceof RangeError ? `Unknown timezone "${tz}"` : e.message)}</p>`;
+      return;
+    }
+    
+    const runs = cron.nextRuns(5);
+    const format = { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZoneName: 'short' };
+    if (cron.tz) format.timeZone = cron.tz;
+    if (cron.hasSeconds) format.second = '2-digit';
+    
+    let note = '';
+    if (!tz) {
+      note = gatewayTz
+        ? `No timezone set - runs in the gateway's timezone (${this.escapeHtml(gatewayTz)})`
+        : 'No timezone set - shown in your browser\'s timezone, the gateway will use its own';
+    }
+    
+    container.innerHTML = `
+      <p class="cron-preview-description">${this.escapeHtml(cron.describe())}</p>
+      ${runs.length === 0
+        ? '<p class="cron-preview-error">This expression never runs</p>'
+        : `<ol class="cron-preview-runs">
+            ${runs.map(t => `<li><span>${this.escapeHtml(new Date(t).toLocaleString([], format))}</span><span class="cron-preview-relative">${this.formatRelativeTime(t)}</span></li>`).join('')}
+          </ol>`}
+      ${note ? `<p class="cron-preview-note">${note}</p>` : ''}
+    `;
+  }
+
+  async loadModelOptions() {
+    if (this.modelOptions) return;
+    try {
+      const result = await gateway.getModels();
+      this.modelOptions = (result?.models || []).map(m => m.id || m.name || m).filter(id => typeof id === 'string');
+      document.getElementById('job-model-options').innerHTML = this.modelOptions
+        .map(id => `<option value="${this.escapeHtml(id)}"></option>`)
+        .join('');
+    } catch (e) {
+      console.warn('[Jobs] Could not load models:', e.message);
+    }
+  }
+
+  // Build the job from the editor on top of the one it started from; returns null if invalid
+  readJobForm() {
+    this.clearJobErrors();
+    const value = (id) => document.getElementById(id).value.trim();
+    let valid = true;
+    const fail = (field, message) => {
+      this.showJobFieldError(field, message);
+      valid = false;
+    };
+    
+    const name = value('job-name');
+    if (!name) fail('name', 'Give the job a name');
+    
+    const kind = value('job-schedule-kind');
+    let schedule;
+    if (kind === 'every') {
+      const minutes = parseInt(value('job-every-minutes'));
+      if (!minutes || minutes < 1) fail('schedule', 'Interval must be at least 1 minute');
+      schedule = { kind, everyMs: minutes * 60000 };
+    } else if (kind === 'cron') {
+      const expr = value('job-cron-expr').replace(/\s+/g, ' ');
+      try {
+        if (new CronExpression(expr, value('job-tz')).nextRuns(1).length === 0) fail('schedule', 'This expression never runs');
+      } catch (e) {
+        fail('schedule', e instanceof RangeError ? `Unknown timezone "${value('job-tz')}"` : e.message);
+      }
+      schedule = { kind, expr };
+      if (value('job-tz')) schedule.tz = value('job-tz');
+    } else {
+      const at = new Date(value('job-at'));
+      if (isNaN(at)) fail('schedule', 'Pick a date and time');
+      else if (at.getTime() <= Date.now()) fail('schedule', 'One-time jobs must be scheduled in the future');
+      schedule = { kind, at: isNaN(at) ? null : at.toISOString() };
+    }
+    
+    const sessionTarget = value('job-session-target');
+    const text = document.getElementById('job-prompt').value.trim();
+    if (!text) fail('payload', sessionTarget === 'isolated' ? 'Enter a prompt' : 'Enter the event text');
+    
+    const base = this.editorBaseJob || {};
+    let payload = sessionTarget === 'isolated'
+      ? { kind: 'agentTurn', message: text, ...(value('job-model') && { model: value('job-model') }) }
+      : { kind: 'systemEvent', text };
+    // Delivery, thinking, timeouts and the like have no inputs - keep them unless the kind changed
+    if (base.payload?.kind === payload.kind) {
+      payload = { ...base.payload, ...payload };
+      if (payload.kind === 'agentTurn' && !value('job-model')) delete payload.model;
+    }
+    if (base.schedule?.kind === schedule.kind) {
+      schedule = { ...base.schedule, ...schedule };
+      if (kind === 'cron' && !value('job-tz')) delete schedule.tz;
+    }
+    
+    if (!valid) return null;
+    return {
+      ...base,
+      name,
+      enabled: document.getElementById('job-enabled').checked,
+      schedule,
+      sessionTarget,
+      payload
+    };
+  }
+
+  async saveJob() {
+    const job = this.readJobForm();
+    if (!job) return;
+    
+    // Edits go out as a patch of just the fields that changed
+    const patch = {};
+    if (this.editingJobId) {
+      Object.keys(job).forEach(key => {
+        if (JSON.stringify(this.editorBaseJob[key]) !== JSON.stringify(job[key])) patch[key] = job[key];
+      });
+      if (Object.keys(patch).length === 0) {
+        this.closeJobEditor();
+        return;
+      }
+    }
+    
+    const btn = document.getElementById('job-save');
+    btn.disabled = true;
+    if (this.editingJobId) this.jobAlerts.expectChange(this.editingJobId);
+    try {
+      const result = this.editingJobId
+        ? await gateway.updateCronJob(this.editingJobId, patch)
+        : await gateway.addCronJob(job);
+      
+      if (result?.queued) {
+        this.addActivity(`Offline - queued update for job: ${job.name}`, 'warning');
+      } else {
+        this.addActivity(`${this.editingJobId ? 'Updated' : 'Created'} job: ${job.name}`, 'success');
+      }
+      this.closeJobEditor();
+      await this.loadJobs();
+    } catch (e) {
+      this.showJobServerError(e);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  async deleteJob() {
+    const job = this.jobs.find(j => j.id === this.editingJobId);
+    if (!job) return;
+    if (!confirm(`Delete job "${job.name || job.id}"? This cannot be undone.`)) return;
+    
+    try {
+      await gateway.removeCronJob(job.id);
+      this.addActivity(`Deleted job: ${job.name || job.id}`, 'success');
+      this.closeJobEditor();
+      await this.loadJobs();
+    } catch (e) {
+      this.showJobServerError(e);
+    }
+  }
+
+  // Put a gateway validation error next to the field it refers to when we can tell which one
+  showJobServerError(error) {
+    const path = String(error.details?.field || error.details?.path || error.message);
+    const field = [
+      ['model', /payload[./]model|\bmodel\b/i],
+      ['schedule', /schedule|\bexpr\b|everyMs|\btz\b|timezone/i],
+      ['sessionTarget', /sessionTarget/],
+      ['payload', /payload|\bmessage\b|\btext\b/],
+      ['name', /\bname\b/]
+    ].find(([, pattern]) => pattern.test(path))?.[0];
+    
+    if (field) {
+      this.showJobFieldError(field, error.message);
+    } else {
+      const el = document.getElementById('job-editor-error');
+      el.textContent = error.message;
+      el.classList.remove('hidden');
+    }
+  }
+
+  showJobFieldError(field, message) {
+    const el = document.querySelector(`#job-editor .field-error[data-field="${field}"]`);
+    if (!el) return;
+    el.textContent = message;
+    el.classList.remove('hidden');
+  }
+
+  clearJobErrors() {
+    document.querySelectorAll('#job-editor .field-error').forEach(el => {
+      el.textContent = '';
+      el.classList.add('hidden');
+    });
+    document.getElementById('job-editor-error').classList.add('hidden');
+  }
+
+  // Value for a datetime-local input, in local time
+  toLocalInputValue(time) {
+    const date = new Date(time);
+    if (isNaN(date)) return '';
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+  }
+
+  filterJobs(query) {
+    this.renderTimeline();
+    const q = query.toLowerCase().trim();
+    document.querySelectorAll('.job-card').forEach(card => {
       const name = card.querySelector('.job-name')?.textContent?.toLowerCase() || '';
       const schedule = card.querySelector('.job-schedule')?.textContent?.toLowerCase() || '';
       const match = !q || name.includes(q) || schedule.includes(q);
@@ -926,17 +3628,23 @@ class EtherPortal {
     } else if (noResults) {
       noResults.remove();
     }
+    this.renderBulkBar();
   }
 
   async sendMessage() {
     const input = document.getElementById('chat-input');
     const message = input.value.trim();
+    const hasAttachments = this.chatAttachments.items.length > 0;
     
-    if (!message) return;
+    if ((!message && !hasAttachments) || this.sendingMessage) return;
     if (!this.sessionKey) {
       this.addChatMessage('system', 'No session selected. Go to Sessions tab to select one.');
       return;
     }
+    if (hasAttachments) {
+      this.sendMessageWithAttachments(message);
+      return;
+    }
     
     input.value = '';
     input.style.height = 'auto';
@@ -945,48 +3653,501 @@ class EtherPortal {
     
     try {
       const result = await gateway.sendMessage(this.sessionKey, message);
-      if (result?.reply) {
+      if (result?.queued) {
+        this.addChatMessage('system', 'Offline - message queued and will be sent after reconnecting.');
+      } else if (result?.reply) {
         this.addChatMessage('assistant', result.reply);
-      } else {
-        this.addChatMessage('system', 'Message sent. Response will appear in the chat channel.');
+      } else if (this.chatStreams.size === 0) {
+        // Reply streams in through session.message events
+        this.showTypingIndicator();
       }
     } catch (e) {
+      this.hideTypingIndicator();
       this.addChatMessage('system', `Failed to send: ${e.message}`);
     }
   }
 
-  addChatMessage(role, content, timestamp = null) {
+  // Attachments can't wait in the offline queue, so this needs a connection and keeps the
+  // files (and text) in place if the upload fails
+  async sendMessageWithAttachments(message) {
+    if (!gateway.isConnected()) {
+      this.addChatMessage('system', 'Attachments can only be sent while connected - reconnect and try again.');
+      return;
+    }
+    const input = document.getElementById('chat-input');
+    this.sendingMessage = true;
+    this.renderChatAttachments();
+    let echo = null;
+    
+    try {
+      const parts = await this.chatAttachments.toContentParts((fraction) => this.setAttachmentProgress('Preparing', fraction));
+      echo = this.addChatMessage('user', message, null, this.getMessageAttachments({ role: 'user', content: parts }));
+      echo.classList.add('sending');
+      const result = await gateway.sendMessage(this.sessionKey, message, {
+        attachments: parts,
+        onUploadProgress: (fraction) => this.setAttachmentProgress('Uploading', fraction)
+      });
+      
+      this.addActivity(`Sent ${parts.length} attachment${parts.length === 1 ? '' : 's'}`, 'info');
+      input.value = '';
+      input.style.height = 'auto';
+      this.sendingMessage = false;
+      this.chatAttachments.clear();
+      echo.classList.remove('sending');
+      if (result?.reply) {
+        this.addChatMessage('assistant', result.reply);
+      } else if (this.chatStreams.size === 0) {
+        this.showTypingIndicator();
+      }
+    } catch (e) {
+      this.hideTypingIndicator();
+      echo?.remove();
+      this.sendingMessage = false;
+      this.renderChatAttachments();
+      this.addChatMessage('system', `Failed to send attachments: ${e.message}`);
+    }
+  }
+
+  addChatAttachments(files) {
+    if (this.sendingMessage) return;
+    const rejected = this.chatAttachments.add(files);
+    if (rejected.length) {
+      alert(`Some files were not attached:\n\n${rejected.map(r => `• ${r.name} - ${r.reason}`).join('\n')}`);
+    }
+    document.getElementById('chat-input').focus();
+  }
+
+  renderChatAttachments() {
+    const tray = document.getElementById('chat-attachments');
+    const { items } = this.chatAttachments;
+    tray.classList.toggle('hidden', items.length === 0);
+    document.getElementById('chat-attach').disabled = this.sendingMessage;
+    document.getElementById('chat-send').disabled = this.sendingMessage;
+    if (items.length === 0) {
+      tray.innerHTML = '';
+      return;
+    }
+    
+    const limit = ChatAttachments.formatSize(ChatAttachments.MAX_TOTAL_BYTES);
+    tray.innerHTML = `
+      <div class="attachment-list">
+        ${items.map(item => `
+          <div class="attachment-chip ${item.kind}">
+            ${item.previewUrl
+              ? `<img class="attachment-preview" src="${item.previewUrl}" alt="">`
+              : `<span class="attachment-icon">${item.icon}</span>`}
+            <div class="attachment-info">
+              <span class="attachment-name">${this.escapeHtml(item.name)}</span>
+              <span class="attachment-size">${ChatAttachments.formatSize(item.size)}</span>
+              ${item.textPreview ? `<pre class="attachment-text">${this.escapeHtml(item.textPreview)}</pre>` : ''}
+            </div>
+            ${this.sendingMessage ? '' : `<button class="attachment-remove" data-id="${item.id}" title="Remove">✕</button>`}
+          </div>
+        `).join('')}
+      </div>
+      <div class="attachment-footer">
+        <span id="chat-attachment-status">${items.length} file${items.length === 1 ? '' : 's'} · ${ChatAttachments.formatSize(this.chatAttachments.totalBytes)} of ${limit}</span>
+        <div class="attachment-progress ${this.sendingMessage ? '' : 'hidden'}"><div id="chat-attachment-bar" class="attachment-progress-bar"></div></div>
+      </div>
+    `;
+  }
+
+  setAttachmentProgress(phase, fraction) {
+    const percent = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+    const status = document.getElementById('chat-attachment-status');
+    const bar = document.getElementById('chat-attachment-bar');
+    if (status) status.textContent = `${phase}... ${percent}%`;
+    if (bar) bar.style.width = `${percent}%`;
+  }
+
+  // Append a message; the view follows it only if it was already at the bottom (or it's ours)
+  addChatMessage(role, content, timestamp = null, attachments = []) {
+    return this.appendChatElement(this.createChatMessage(role, content, timestamp, attachments), role, timestamp);
+  }
+
+  appendChatElement(el, role, timestamp = null) {
     const container = document.getElementById('chat-messages');
     const welcome = container.querySelector('.chat-welcome');
     if (welcome) welcome.remove();
     
+    const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 80;
+    const dated = container.querySelectorAll('[data-day]');
+    const lastDay = dated.length ? dated[dated.length - 1].dataset.day : null;
+    if (el.dataset.day && lastDay && el.dataset.day !== lastDay) {
+      container.appendChild(this.createDateSeparator(timestamp || Date.now()));
+    }
+    container.appendChild(el);
+    
+    if (atBottom || role === 'user') {
+      container.scrollTop = container.scrollHeight;
+    } else if (role === 'assistant') {
+      this.unseenChatMessages++;
+    }
+    this.updateJumpToLatest();
+    return el;
+  }
+
+  createChatMessage(role, content, timestamp = null, attachments = []) {
     const div = document.createElement('div');
     div.className = `message ${role}`;
+    this.messageSources.set(div, content);
+    div.dataset.day = new Date(timestamp || Date.now()).toDateString();
+    if (timestamp) div.dataset.timestamp = new Date(timestamp).getTime();
     
     const time = timestamp ? new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) 
       : new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     
-    // Truncate very long messages with expand option
-    const maxLen = 2000;
-    const isTruncated = content.length > maxLen;
-    const displayContent = isTruncated ? content.slice(0, maxLen) + '...' : content;
-    
+    // Assistant replies are Markdown; everything else stays plain text
+    const markdown = role === 'assistant';
     div.innerHTML = `
-      <div class="message-content">${this.escapeHtml(displayContent)}</div>
-      ${isTruncated ? '<button class="btn-expand" onclick="this.parentElement.querySelector(\'.message-content\').textContent = this.dataset.full; this.remove();" data-full="' + this.escapeHtml(content).replace(/"/g, '&quot;') + '">Show more</button>' : ''}
-      <div class="message-time">${time}</div>
+      <div class="message-content${markdown ? ' markdown' : ''}"></div>
+      ${content.length > EtherPortal.MESSAGE_PREVIEW_LENGTH ? '<button class="btn-expand">Show more</button>' : ''}
+      <div class="message-time">${time}${markdown && content ? '<button class="md-toggle" title="Show the raw text">Raw</button>' : ''}</div>
     `;
+    if (attachments.length) div.querySelector('.message-content').after(this.createAttachmentList(attachments));
+    this.renderMessageBody(div);
+    return div;
+  }
+
+  // Built with DOM properties - attachment names and URLs come from the transcript
+  createAttachmentList(attachments) {
+    const list = document.createElement('div');
+    list.className = 'message-attachments';
+    attachments.forEach(attachment => {
+      const link = document.createElement(attachment.url ? 'a' : 'span');
+      link.className = `message-attachment ${attachment.kind}`;
+      link.title = attachment.name;
+      if (attachment.url) {
+        link.href = attachment.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        if (attachment.url.startsWith('data:')) link.download = attachment.name;
+      }
+      if (attachment.kind === 'image' && attachment.url) {
+        const img = document.createElement('img');
+        img.src = attachment.url;
+        img.alt = attachment.name;
+        img.loading = 'lazy';
+        link.appendChild(img);
+      } else {
+        link.textContent = `📎 ${attachment.name}${attachment.url ? '' : ' (not available)'}`;
+      }
+      list.appendChild(link);
+    });
+    return list;
+  }
+
+  renderMessageBody(el) {
+    const source = this.messageSources.get(el) ?? '';
+    const expanded = !el.querySelector('.btn-expand');
+    const text = expanded ? source : `${source.slice(0, EtherPortal.MESSAGE_PREVIEW_LENGTH)}...`;
+    const body = el.querySelector('.message-content');
     
-    container.appendChild(div);
-    container.scrollTop = container.scrollHeight;
+    if (body.classList.contains('markdown') && !el.classList.contains('show-raw')) {
+      body.innerHTML = MarkdownRenderer.render(text);
+    } else {
+      body.textContent = text;
+    }
+    const toggle = el.querySelector('.md-toggle');
+    if (toggle) {
+      toggle.textContent = el.classList.contains('show-raw') ? 'Formatted' : 'Raw';
+      toggle.title = el.classList.contains('show-raw') ? 'Show formatted' : 'Show the raw text';
+    }
+  }
+
+  onChatMessageClick(e) {
+    const message = e.target.closest('.message');
+    
+    if (e.target.closest('.chat-load-older')) {
+      this.loadOlderMessages();
+      return;
+    }
+    if (!message) return;
+    
+    if (e.target.closest('.btn-expand')) {
+      e.target.closest('.btn-expand').remove();
+      this.renderMessageBody(message);
+    } else if (e.target.closest('.md-toggle')) {
+      message.classList.toggle('show-raw');
+      this.renderMessageBody(message);
+    } else if (e.target.closest('.md-copy')) {
+      const btn = e.target.closest('.md-copy');
+      const code = btn.closest('.md-code').querySelector('code').textContent;
+      navigator.clipboard.writeText(code)
+        .then(() => {
+          btn.textContent = '✅ Copied';
+          setTimeout(() => { btn.textContent = '📋 Copy'; }, 1500);
+        })
+        .catch(err => alert(`Could not copy to the clipboard: ${err.message}`));
+    }
+  }
+
+  // Connection quality
+  onMetricsUpdate() {
+    this.updateQualityIndicator();
+    if (this.currentTab !== 'settings' || this.qualityRenderPending) return;
+    this.qualityRenderPending = true;
+    requestAnimationFrame(() => {
+      this.qualityRenderPending = false;
+      this.renderQualityPanel();
+    });
+  }
+
+  getConnectionQuality() {
+    const summary = gateway.metrics.getSummary();
+    // Missed heartbeats trump whatever the last good round-trips said
+    if (gateway.heartbeatMissed > 0) summary.quality = 'poor';
+    return summary;
+  }
+
+  updateQualityIndicator() {
+    const el = document.getElementById('connection-quality');
+    if (!el) return;
+    
+    const summary = this.getConnectionQuality();
+    el.classList.toggle('hidden', !gateway.isConnected());
+    el.classList.remove('good', 'fair', 'poor', 'unknown');
+    el.classList.add(summary.quality);
+    el.querySelector('.quality-rtt').textContent = summary.rtt != null ? `${summary.rtt}ms` : '--';
+    el.title = summary.rtt != null
+      ? `Connection ${summary.quality}: ${summary.rtt}ms round-trip (avg ${summary.avgRtt}ms), ${summary.jitter}ms jitter`
+      : 'Connection quality: measuring...';
+    
+    if (summary.quality === 'poor' && this.lastQuality !== 'poor' && this.lastQuality !== 'unknown') {
+      this.addActivity(`Connection degrading: ${summary.avgRtt}ms round-trip, ${summary.jitter}ms jitter`, 'warning');
+    }
+    this.lastQuality = summary.quality;
+  }
+
+  renderQualityPanel() {
+    const summaryEl = document.getElementById('quality-summary');
+    if (!summaryEl) return;
+    
+    const summary = this.getConnectionQuality();
+    summaryEl.textContent = summary.rtt != null
+      ? `${summary.quality} · ${summary.avgRtt}ms avg · ${summary.jitter}ms jitter`
+      : 'No samples yet';
+    
+    this.drawLatencyChart(document.getElementById('latency-chart'), gateway.metrics.samples);
+    
+    const stats = gateway.metrics.getMethodStats();
+    document.getElementById('method-timings').innerHTML = stats.length === 0
+      ? '<p style="color: var(--text-muted); font-size: 13px;">No requests timed yet</p>'
+      : `
+        <table class="timings-table">
+          <thead><tr><th>Method</th><th>Count</th><th>p50</th><th>p90</th><th>p99</th><th>Max</th><th>Errors</th></tr></thead>
+          <tbody>
+            ${stats.map(s => `
+              <tr>
+                <td>${this.escapeHtml(s.method)}</td>
+                <td>${s.count}</td>
+                <td>${s.p50}ms</td>
+                <td>${s.p90}ms</td>
+                <td>${s.p99}ms</td>
+                <td>${s.max}ms</td>
+                <td class="${s.errors ? 'has-errors' : ''}">${s.errors}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+  }
+
+  drawLatencyChart(canvas, samples) {
+    if (!canvas) return;
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+    ctx.clearRect(0, 0, width, height);
+    
+    const styles = getComputedStyle(document.documentElement);
+    const color = (name) => styles.getPropertyValue(name).trim();
+    ctx.font = '10px monospace';
+    
+    if (samples.length < 2) {
+      ctx.fillStyle = color('--text-muted');
+      ctx.fillText('Waiting for ping round-trips...', 10, height / 2);
+      return;
+    }
+    
+    const pad = { left: 44, right: 8, top: 8, bottom: 8 };
+    const maxValue = Math.max(50, ...samples.map(s => Math.max(s.rtt, s.jitter))) * 1.2;
+    const x = (i) => pad.left + (i / (samples.length - 1)) * (width - pad.left - pad.right);
+    const y = (v) => pad.top + (1 - v / maxValue) * (height - pad.top - pad.bottom);
+    
+    // Grid lines with labels
+    ctx.strokeStyle = color('--border');
+    ctx.fillStyle = color('--text-muted');
+    ctx.lineWidth = 1;
+    [0, 0.5, 1].forEach(fraction => {
+      const value = Math.round(maxValue * fraction);
+      ctx.beginPath();
+      ctx.moveTo(pad.left, y(value));
+      ctx.lineTo(width - pad.right, y(value));
+      ctx.stroke();
+      ctx.fillText(`${value}ms`, 4, y(value) + 3);
+    });
+    
+    const line = (key, stroke) => {
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      samples.forEach((s, i) => i === 0 ? ctx.moveTo(x(i), y(s[key])) : ctx.lineTo(x(i), y(s[key])));
+      ctx.stroke();
+    };
+    line('jitter', color('--warning'));
+    line('rtt', color('--accent-hover'));
+  }
+
+  // Protocol inspector
+  scheduleProtocolRender() {
+    if (this.currentTab !== 'settings' || this.protocolRenderPending) return;
+    this.protocolRenderPending = true;
+    requestAnimationFrame(() => {
+      this.protocolRenderPending = false;
+      this.renderProtocolLog();
+    });
+  }
+
+  renderProtocolLog() {
+    const container = document.getElementById('protocol-log');
+    if (!container) return;
+    
+    const traffic = gateway.traffic;
+    const entries = traffic.query({
+      text: document.getElementById('protocol-filter').value,
+      kind: document.getElementById('protocol-kind').value
+    });
+    
+    document.getElementById('protocol-pause').textContent = traffic.paused ? '▶️ Resume' : '⏸️ Pause';
+    document.getElementById('protocol-count').textContent =
+      `${entries.length} of ${traffic.entries.length} frames${traffic.paused ? ' (paused)' : ''}`;
+    
+    if (entries.length === 0) {
+      container.innerHTML = '<div class="empty-state small"><span class="icon">📡</span><p>No frames captured</p></div>';
+      return;
+    }
+    
+    // Newest first, and only as many rows as stay responsive
+    container.innerHTML = entries.slice(-200).reverse().map(entry => {
+      const time = new Date(entry.time);
+      const timeStr = time.toLocaleTimeString([], { hour12: false }) + '.' + String(time.getMilliseconds()).padStart(3, '0');
+      const expanded = this.expandedFrames.has(entry.seq);
+      
+      return `
+        <div class="protocol-entry ${entry.kind} ${entry.ok === false ? 'error' : ''}" data-seq="${entry.seq}">
+          <div class="protocol-summary">
+            <span class="protocol-dir ${entry.direction}">${entry.direction === 'out' ? '↑' : '↓'}</span>
+            <span class="protocol-time">${timeStr}</span>
+            <span class="protocol-kind">${this.escapeHtml(entry.kind)}</span>
+            <span class="protocol-method">${this.escapeHtml(entry.method || entry.id || '')}</span>
+            <span class="protocol-size">${this.formatBytes(entry.size)}</span>
+            <span class="protocol-latency">${entry.latencyMs != null ? `${entry.latencyMs}ms` : ''}</span>
+          </div>
+          ${expanded ? `<pre class="protocol-json">${this.escapeHtml(JSON.stringify(entry.frame, null, 2))}</pre>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  exportProtocolLog() {
+    const data = gateway.traffic.export({
+      client: { id: 'ether-portal-web', version: GatewayClient.VERSION, userAgent: navigator.userAgent },
+      gateway: { url: gateway.config.host ? gateway.getWsUrl() : null, serverInfo: gateway.serverInfo }
+    });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    this.downloadFile(`ether-portal-protocol-${stamp}.json`, JSON.stringify(data, null, 2), 'application/json');
+    this.addActivity(`Exported ${data.entries.length} protocol frames`, 'success');
+  }
+
+  downloadFile(filename, content, type = 'text/plain') {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  formatBytes(bytes) {
+    if (bytes == null) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // Offline queue
+  renderOutbox() {
+    const section = document.getElementById('outbox-section');
+    const list = document.getElementById('outbox-list');
+    if (!section || !list) return;
+    
+    const items = requestQueue.list(gateway.config.profileId);
+    section.classList.toggle('hidden', items.length === 0);
+    
+    const icons = { queued: '⏳', sending: '📤', failed: '❌' };
+    list.innerHTML = items.map(item => `
+      <div class="activity-item outbox-item ${item.status === 'failed' ? 'error' : 'warning'}">
+        <span class="activity-icon">${icons[item.status] || '⏳'}</span>
+        <span class="activity-text">
+          ${this.escapeHtml(this.describeQueuedAction(item))}
+          ${item.error ? `<span class="outbox-error">${this.escapeHtml(item.error)}</span>` : ''}
+        </span>
+        <span class="outbox-status">${item.status}</span>
+        ${item.status === 'failed' ? `<button class="btn-small outbox-retry" data-id="${this.escapeHtml(item.id)}">Retry</button>` : ''}
+        ${item.status !== 'sending' ? `<button class="btn-small outbox-cancel" data-id="${this.escapeHtml(item.id)}">Cancel</button>` : ''}
+      </div>
+    `).join('');
+    
+    list.querySelectorAll('.outbox-cancel').forEach(btn => {
+      btn.addEventListener('click', () => this.cancelQueuedAction(btn.dataset.id));
+    });
+    list.querySelectorAll('.outbox-retry').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await requestQueue.retry(btn.dataset.id);
+        if (gateway.isConnected()) requestQueue.replay(gateway);
+      });
+    });
+  }
+
+  async cancelQueuedAction(id) {
+    const item = requestQueue.items.find(i => i.id === id);
+    if (item && await requestQueue.cancel(id)) {
+      this.addActivity(`Cancelled queued action: ${this.describeQueuedAction(item)}`, 'info');
+    }
+  }
+
+  describeQueuedAction(item) {
+    const params = item.params || {};
+    const jobName = (id) => this.jobs.find(j => j.id === id)?.name || id;
+    
+    if (item.method === 'sessions.send') {
+      const target = params.sessionKey?.split(':').slice(-2).join('/') || 'session';
+      const text = params.message?.length > 40 ? params.message.slice(0, 40) + '…' : params.message;
+      return `Message to ${target}: "${text}"`;
+    }
+    if (item.method === 'cron.run') return `Run job ${jobName(params.jobId)}`;
+    if (item.method === 'cron.update' && typeof params.patch?.enabled === 'boolean' && Object.keys(params.patch).length === 1) {
+      return `${params.patch.enabled ? 'Enable' : 'Disable'} job ${jobName(params.jobId)}`;
+    }
+    if (item.method === 'cron.update') return `Update job ${jobName(params.jobId)}`;
+    return item.method;
   }
 
   // Activity log management
-  addActivity(text, type = 'info') {
-    const time = new Date();
-    const entry = { text, type, time: time.getTime() };
+  addActivity(text, type = 'info', time = Date.now()) {
+    const entry = { text, type, time };
     
     this.activityLog.unshift(entry);
+    // Backfilled entries (replayed events) slot in by time
+    if (time < Date.now() - 1000) this.activityLog.sort((a, b) => b.time - a.time);
     if (this.activityLog.length > 50) this.activityLog.pop();
     
     // Persist to localStorage
@@ -1037,9 +4198,10 @@ class EtherPortal {
     this.addActivity('Activity log cleared', 'info');
   }
 
+  // Safe in text and in quoted attribute values
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 }
@@ -0,0 +1,137 @@
+// Files waiting to go out with the next chat message, and the content parts they are sent as
+// Images travel as `image` parts, everything else as `file` parts - both base64 encoded
+
+class ChatAttachments {
+  static MAX_FILE_BYTES = 10 * 1024 * 1024;
+  static MAX_TOTAL_BYTES = 25 * 1024 * 1024; // Everything goes out in one WebSocket frame
+  static MAX_FILES = 10;
+  static TEXT_PREVIEW_LENGTH = 400;
+  static KINDS = [
+    { kind: 'image', icon: '🖼️', test: (type) => /^image\/(png|jpeg|gif|webp)$/.test(type) },
+    { kind: 'pdf', icon: '📕', test: (type, name) => type === 'application/pdf' || /\.pdf$/i.test(name) },
+    { kind: 'spreadsheet', icon: '📊', test: (type, name) => /spreadsheet|ms-excel/.test(type) || /\.(xlsx?|ods)$/i.test(name) },
+    { kind: 'text', icon: '📄', test: (type, name) => /^text\/|json|xml|yaml/.test(type) || /\.(txt|md|csv|tsv|json|ya?ml|xml|log)$/i.test(name) }
+  ];
+  // For the file picker; drops and pastes are checked against KINDS
+  static ACCEPT = 'image/png,image/jpeg,image/gif,image/webp,application/pdf,.xlsx,.xls,.ods,.csv,.tsv,.txt,.md,.json,.yaml,.yml,.xml,.log,text/*';
+
+  constructor() {
+    this.items = [];
+    this.nextId = 1;
+    this.listeners = new Set();
+  }
+
+  static describe(type, name) {
+    return ChatAttachments.KINDS.find(k => k.test(type || '', name || '')) || null;
+  }
+
+  static formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  get totalBytes() {
+    return this.items.reduce((sum, item) => sum + item.size, 0);
+  }
+
+  // Returns the files that were refused: [{ name, reason }]
+  add(files) {
+    const rejected = [];
+    [...files].forEach(file => {
+      const name = file.name || `pasted-${Date.now()}.${(file.type.split('/')[1] || 'bin')}`;
+      const kind = ChatAttachments.describe(file.type, name);
+      if (!kind) {
+        rejected.push({ name, reason: 'unsupported file type' });
+      } else if (this.items.length >= ChatAttachments.MAX_FILES) {
+        rejected.push({ name, reason: `at most ${ChatAttachments.MAX_FILES} files per message` });
+      } else if (file.size > ChatAttachments.MAX_FILE_BYTES) {
+        rejected.push({ name, reason: `larger than ${ChatAttachments.formatSize(ChatAttachments.MAX_FILE_BYTES)}` });
+      } else if (this.totalBytes + file.size > ChatAttachments.MAX_TOTAL_BYTES) {
+        rejected.push({ name, reason: `attachments would exceed ${ChatAttachments.formatSize(ChatAttachments.MAX_TOTAL_BYTES)} in total` });
+      } else {
+        const item = {
+          id: this.nextId++,
+          file,
+          name,
+          type: file.type || 'application/octet-stream',
+          size: file.size,
+          kind: kind.kind,
+          icon: kind.icon,
+          previewUrl: kind.kind === 'image' ? URL.createObjectURL(file) : null,
+          textPreview: null
+        };
+        this.items.push(item);
+        if (item.kind === 'text') this.loadTextPreview(item);
+      }
+    });
+    this.notify();
+    return rejected;
+  }
+
+  remove(id) {
+    const item = this.items.find(i => i.id === id);
+    if (!item) return;
+    if (item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+    this.items = this.items.filter(i => i !== item);
+    this.notify();
+  }
+
+  clear() {
+    this.items.forEach(item => item.previewUrl && URL.revokeObjectURL(item.previewUrl));
+    this.items = [];
+    this.notify();
+  }
+
+  // Read every file as a content part; onProgress(fraction) follows the bytes read
+  async toContentParts(onProgress = () => {}) {
+    const total = this.totalBytes || 1;
+    let done = 0;
+    const parts = [];
+    for (const item of this.items) {
+      const data = await ChatAttachments.readBase64(item.file, (loaded) => onProgress((done + loaded) / total));
+      done += item.size;
+      parts.push(item.kind === 'image'
+        ? { type: 'image', mimeType: item.type, fileName: item.name, data }
+        : { type: 'file', mimeType: item.type, fileName: item.name, data });
+    }
+    onProgress(1);
+    return parts;
+  }
+
+  static readBase64(file, onProgress) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onprogress = (e) => e.lengthComputable && onProgress(e.loaded);
+      reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+      reader.onerror = () => reject(new Error(`Could not read ${file.name}: ${reader.error?.message || 'unknown error'}`));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (e) {
+        console.error('[Attachments] Listener error:', e);
+      }
+    });
+  }
+
+  // Internals
+  async loadTextPreview(item) {
+    try {
+      const text = await item.file.slice(0, ChatAttachments.TEXT_PREVIEW_LENGTH * 4).text();
+      item.textPreview = text.slice(0, ChatAttachments.TEXT_PREVIEW_LENGTH);
+      if (this.items.includes(item)) this.notify();
+    } catch (e) {
+      console.warn('[Attachments] Failed to preview', item.name, e);
+    }
+  }
+}
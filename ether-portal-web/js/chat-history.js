@@ -0,0 +1,86 @@
+// Per-session chat history: the pages loaded so far (oldest first) and where the next older page starts
+// Switching back to a session renders from here at once while its newest page refreshes
+
+class ChatHistoryCache {
+  static MAX_SESSIONS = 20;
+  static MAX_MESSAGES = 2000; // Per session
+
+  constructor() {
+    this.sessions = new Map(); // sessionKey -> { messages, older }, least recently used first
+  }
+
+  // Gateway pages come newest first. `older` holds the params for the page before this one:
+  // the gateway's cursor when it sends one, else the oldest timestamp; null at the beginning
+  static page(result, limit) {
+    const messages = [...(result?.messages || [])].reverse();
+    const cursor = result?.nextCursor ?? result?.cursor ?? null;
+    const hasMore = result?.hasMore ?? (cursor != null || messages.length >= limit);
+    let older = null;
+    if (hasMore && cursor != null) older = { cursor };
+    else if (hasMore && messages[0]?.timestamp != null) older = { before: messages[0].timestamp };
+    return { messages, older };
+  }
+
+  static identity(message) {
+    if (message.id || message.messageId) return `id:${message.id || message.messageId}`;
+    const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content ?? message.text ?? '');
+    return `${message.role}:${message.timestamp}:${content.slice(0, 200)}`;
+  }
+
+  get(sessionKey) {
+    const entry = this.sessions.get(sessionKey);
+    if (!entry) return null;
+    this.sessions.delete(sessionKey);
+    this.sessions.set(sessionKey, entry);
+    return entry;
+  }
+
+  // Store the newest page. If it overlaps what is cached the new messages are appended,
+  // otherwise (first load, or too much happened since) it replaces the cache
+  setLatest(sessionKey, page) {
+    const entry = this.sessions.get(sessionKey);
+    const known = new Set((entry?.messages || []).map(ChatHistoryCache.identity));
+    if (!entry || !page.messages.some(m => known.has(ChatHistoryCache.identity(m)))) {
+      this.store(sessionKey, { messages: page.messages, older: page.older });
+      return { replaced: true, appended: [] };
+    }
+
+    const appended = page.messages.filter(m => !known.has(ChatHistoryCache.identity(m)));
+    entry.messages.push(...appended);
+    this.store(sessionKey, entry);
+    return { replaced: false, appended };
+  }
+
+  // Add an older page in front; returns the messages that were new
+  prependOlder(sessionKey, page) {
+    const entry = this.sessions.get(sessionKey);
+    if (!entry) return [];
+    const known = new Set(entry.messages.map(ChatHistoryCache.identity));
+    const added = page.messages.filter(m => !known.has(ChatHistoryCache.identity(m)));
+    entry.messages.unshift(...added);
+    // A page with nothing new means the gateway ignored the cursor - stop asking
+    entry.older = added.length ? page.older : null;
+    return added;
+  }
+
+  delete(sessionKey) {
+    this.sessions.delete(sessionKey);
+  }
+
+  clear() {
+    this.sessions.clear();
+  }
+
+  // Internals
+  store(sessionKey, entry) {
+    if (entry.messages.length > ChatHistoryCache.MAX_MESSAGES) {
+      entry.messages = entry.messages.slice(-ChatHistoryCache.MAX_MESSAGES);
+      if (entry.messages[0]?.timestamp != null) entry.older = { before: entry.messages[0].timestamp };
+    }
+    this.sessions.delete(sessionKey);
+    this.sessions.set(sessionKey, entry);
+    while (this.sessions.size > ChatHistoryCache.MAX_SESSIONS) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+}
@@ -0,0 +1,107 @@
+// Tool calls in session transcripts. Calls arrive as content parts of assistant messages, results as
+// tool messages (or tool_result parts); pairing them by call id gives one record per call to render
+
+class ToolTranscript {
+  static MAX_OUTPUT = 20000; // Characters of arguments/output kept per call
+
+  static isResultMessage(message) {
+    return message?.role === 'tool' || message?.role === 'toolResult';
+  }
+
+  // Output text of a tool result; non-text parts become placeholders
+  static outputText(content) {
+    if (content == null) return null;
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return JSON.stringify(content, null, 2);
+    return content.map(part => {
+      if (typeof part === 'string') return part;
+      if (!part.type || part.type === 'text') return part.text || '';
+      return `[${part.type}]`;
+    }).join('\n');
+  }
+
+  // [{ id, name, args, at }]
+  static calls(message) {
+    if (message?.role !== 'assistant' || !Array.isArray(message.content)) return [];
+    return message.content
+      .filter(part => part.type === 'tool_use' || part.type === 'toolCall')
+      .map((part, i) => ({
+        id: part.id || part.toolCallId || `${message.timestamp}:${i}`,
+        name: part.name || part.toolName || 'tool',
+        args: part.input ?? part.arguments ?? part.args ?? null,
+        at: message.timestamp ?? null
+      }));
+  }
+
+  // [{ id, name, output, isError, durationMs, at }]
+  static results(message) {
+    if (ToolTranscript.isResultMessage(message)) {
+      return [{
+        id: message.toolCallId || message.tool_use_id || message.callId || null,
+        name: message.toolName || message.name || null,
+        output: ToolTranscript.outputText(message.content ?? message.text ?? message.result),
+        isError: !!(message.isError || message.is_error || message.error),
+        durationMs: message.durationMs ?? null,
+        at: message.timestamp ?? null
+      }];
+    }
+    if (!Array.isArray(message?.content)) return [];
+    return message.content
+      .filter(part => part.type === 'tool_result' || part.type === 'toolResult')
+      .map(part => ({
+        id: part.tool_use_id || part.toolCallId || null,
+        name: part.name || part.toolName || null,
+        output: ToolTranscript.outputText(part.content),
+        isError: !!(part.is_error || part.isError),
+        durationMs: part.durationMs ?? null,
+        at: message.timestamp ?? null
+      }));
+  }
+
+  // Merge the calls and results of `messages` into `records` (id -> record); returns `records`
+  static index(messages, records = new Map()) {
+    messages.forEach(message => {
+      ToolTranscript.calls(message).forEach(call => {
+        const record = records.get(call.id) || ToolTranscript.record(call.id);
+        Object.assign(record, { name: call.name, args: call.args, startedAt: call.at, hasCall: true });
+        records.set(call.id, ToolTranscript.settle(record));
+      });
+      ToolTranscript.results(message).forEach(result => {
+        if (!result.id) return;
+        const record = records.get(result.id) || ToolTranscript.record(result.id);
+        Object.assign(record, {
+          name: record.hasCall ? record.name : (result.name || record.name),
+          output: result.output,
+          isError: result.isError,
+          finishedAt: result.at,
+          durationMs: result.durationMs,
+          hasResult: true
+        });
+        records.set(result.id, ToolTranscript.settle(record));
+      });
+    });
+    return records;
+  }
+
+  // Results without an id can't be paired - shown on their own
+  static unpairedResults(message) {
+    return ToolTranscript.results(message).filter(result => !result.id);
+  }
+
+  // Internals
+  static record(id) {
+    return {
+      id, name: 'tool', args: null, output: null, isError: false,
+      startedAt: null, finishedAt: null, durationMs: null,
+      hasCall: false, hasResult: false, status: 'pending'
+    };
+  }
+
+  static settle(record) {
+    if (record.hasResult && record.durationMs == null && record.startedAt != null && record.finishedAt != null) {
+      record.durationMs = Math.max(0, new Date(record.finishedAt) - new Date(record.startedAt));
+    }
+    record.status = !record.hasResult ? 'pending' : record.isError ? 'error' : 'ok';
+    return record;
+  }
+}
@@ -0,0 +1,99 @@
+// Connection quality: ping/pong round-trips and per-method response times
+
+class ConnectionMetrics {
+  static MAX_SAMPLES = 120; // ~50 minutes of pings at the 25s interval
+  static MAX_TIMINGS = 200; // Per method
+  static JITTER_WINDOW = 10;
+
+  constructor() {
+    this.samples = []; // { time, rtt, jitter }
+    this.timings = new Map(); // method -> { durations: [], errors }
+    this.listeners = new Set();
+  }
+
+  recordRtt(rtt) {
+    const recent = [...this.samples.slice(-(ConnectionMetrics.JITTER_WINDOW - 1)).map(s => s.rtt), rtt];
+    // Jitter: mean difference between consecutive round-trips in the window
+    let jitter = 0;
+    if (recent.length > 1) {
+      for (let i = 1; i < recent.length; i++) jitter += Math.abs(recent[i] - recent[i - 1]);
+      jitter = Math.round(jitter / (recent.length - 1));
+    }
+
+    this.samples.push({ time: Date.now(), rtt, jitter });
+    if (this.samples.length > ConnectionMetrics.MAX_SAMPLES) this.samples.shift();
+    this.notify();
+  }
+
+  recordResponse(method, durationMs, ok) {
+    if (!this.timings.has(method)) this.timings.set(method, { durations: [], errors: 0 });
+    const timing = this.timings.get(method);
+    timing.durations.push(durationMs);
+    if (timing.durations.length > ConnectionMetrics.MAX_TIMINGS) timing.durations.shift();
+    if (!ok) timing.errors++;
+    this.notify();
+  }
+
+  getSummary() {
+    const latest = this.samples[this.samples.length - 1];
+    if (!latest) return { rtt: null, avgRtt: null, jitter: null, quality: 'unknown' };
+
+    const recent = this.samples.slice(-ConnectionMetrics.JITTER_WINDOW);
+    const avgRtt = Math.round(recent.reduce((sum, s) => sum + s.rtt, 0) / recent.length);
+    return {
+      rtt: latest.rtt,
+      avgRtt,
+      jitter: latest.jitter,
+      quality: ConnectionMetrics.rate(avgRtt, latest.jitter)
+    };
+  }
+
+  static rate(rtt, jitter) {
+    if (rtt > 800 || jitter > 300) return 'poor';
+    if (rtt > 250 || jitter > 100) return 'fair';
+    return 'good';
+  }
+
+  // [{ method, count, errors, p50, p90, p99, max }] busiest first
+  getMethodStats() {
+    return [...this.timings.entries()].map(([method, timing]) => {
+      const sorted = [...timing.durations].sort((a, b) => a - b);
+      return {
+        method,
+        count: sorted.length,
+        errors: timing.errors,
+        p50: ConnectionMetrics.percentile(sorted, 50),
+        p90: ConnectionMetrics.percentile(sorted, 90),
+        p99: ConnectionMetrics.percentile(sorted, 99),
+        max: sorted[sorted.length - 1]
+      };
+    }).sort((a, b) => b.count - a.count);
+  }
+
+  static percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = Math.max(0, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[index];
+  }
+
+  reset() {
+    this.samples = [];
+    this.timings.clear();
+    this.notify();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (e) {
+        console.error('[Metrics] Listener error:', e);
+      }
+    });
+  }
+}
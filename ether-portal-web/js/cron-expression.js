@@ -0,0 +1,380 @@
+// Cron expression parsing, English descriptions and next-run calculation
+// Supports 5 fields (minute hour day month weekday) or 6 with leading seconds,
+// with *, ?, lists, ranges, steps, month/day names, L (last day), 5L (last Friday) and 1#2 (2nd Monday)
+
+class CronExpression {
+  static MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+  static DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  static MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+  };
+  static FIELDS = [
+    { name: 'second', min: 0, max: 59 },
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: CronExpression.MONTHS },
+    { name: 'day of week', min: 0, max: 7, names: CronExpression.DAYS }
+  ];
+  static SEARCH_YEARS = 8; // Give up on expressions that never fire (e.g. 30 February)
+  static formatters = new Map(); // Intl formatters per timezone
+
+  constructor(expr, tz = null) {
+    this.source = (expr || '').trim();
+    this.tz = tz || null;
+    if (this.tz) CronExpression.formatter(this.tz); // Throws RangeError for unknown zones
+
+    const fields = (CronExpression.MACROS[this.source.toLowerCase()] || this.source).split(/\s+/).filter(Boolean);
+    if (fields.length < 5 || fields.length > 6) {
+      throw new Error(`Expected 5 or 6 fields, got ${fields.length}`);
+    }
+    this.hasSeconds = fields.length === 6;
+    if (!this.hasSeconds) fields.unshift('0');
+
+    [this.second, this.minute, this.hour, this.dayOfMonth, this.month, this.dayOfWeek] =
+      fields.map((text, i) => CronExpression.parseField(text, CronExpression.FIELDS[i]));
+  }
+
+  static isValid(expr) {
+    try {
+      new CronExpression(expr);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Parsing
+  static parseField(text, def) {
+    const field = { text, any: false, parts: [], values: new Set(), last: false, lastWeekdays: new Set(), nth: [] };
+    const isDom = def.name === 'day of month';
+    const isDow = def.name === 'day of week';
+
+    for (const token of text.split(',')) {
+      if (!token) throw new Error(`Empty value in ${def.name} field`);
+      const upper = token.toUpperCase();
+
+      if (isDom && upper === 'L') {
+        field.last = true;
+        field.parts.push({ last: true });
+        continue;
+      }
+      if (isDow && /^[A-Z0-9]+L$/.test(upper)) {
+        const day = CronExpression.parseValue(upper.slice(0, -1), def) % 7;
+        field.lastWeekdays.add(day);
+        field.parts.push({ lastWeekday: day });
+        continue;
+      }
+      if (isDow && upper.includes('#')) {
+        const [dayText, nthText] = upper.split('#');
+        const day = CronExpression.parseValue(dayText, def) % 7;
+        const n = parseInt(nthText);
+        if (!(n >= 1 && n <= 5)) throw new Error(`Invalid weekday occurrence "${token}"`);
+        field.nth.push({ day, n });
+        field.parts.push({ nthWeekday: day, n });
+        continue;
+      }
+
+      if (token === '?') field.any = true;
+      if (token === '*') field.any = true;
+      const [base, stepText, extra] = (token === '?' ? '*' : token).split('/');
+      if (extra !== undefined) throw new Error(`Invalid step "${token}"`);
+      const step = stepText === undefined ? 1 : parseInt(stepText);
+      if (!(step >= 1) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+        throw new Error(`Invalid step "${token}" in ${def.name} field`);
+      }
+
+      let start, end;
+      const star = base === '*';
+      if (star) {
+        start = def.min;
+        end = def.max;
+      } else if (base.includes('-')) {
+        [start, end] = base.split('-').map(v => CronExpression.parseValue(v, def));
+        if (start > end) throw new Error(`Range "${base}" runs backwards in ${def.name} field`);
+      } else {
+        start = CronExpression.parseValue(base, def);
+        end = stepText === undefined ? start : def.max;
+      }
+
+      const values = [];
+      for (let v = start; v <= end; v += step) values.push(isDow ? v % 7 : v);
+      values.forEach(v => field.values.add(v));
+      // "21/3" in the hour field only ever hits 21 - describe it as such
+      field.parts.push(values.length === 1 ? { start: values[0], end: values[0], step: 1 } : { start, end, step, star });
+    }
+    return field;
+  }
+
+  static parseValue(text, def) {
+    let value;
+    if (/^\d+$/.test(text)) {
+      value = parseInt(text);
+    } else if (def.names) {
+      const index = def.names.findIndex(name => name.slice(0, 3).toUpperCase() === text.toUpperCase());
+      if (index === -1) throw new Error(`Unknown ${def.name} "${text}"`);
+      value = index + def.min;
+    } else {
+      throw new Error(`Invalid ${def.name} "${text}"`);
+    }
+    if (value < def.min || value > def.max) {
+      throw new Error(`${def.name[0].toUpperCase() + def.name.slice(1)} ${value} is out of range (${def.min}-${def.max})`);
+    }
+    return value;
+  }
+
+  // Next runs - epoch ms, computed on the wall clock of the job's timezone (or the browser's)
+  nextRuns(count = 5, from = Date.now(), until = Infinity) {
+    const runs = [];
+    let wall = CronExpression.toWallTime(from, this.tz);
+
+    while (runs.length < count) {
+      wall = this.nextWallTime(wall);
+      if (wall === null) break;
+      const time = CronExpression.fromWallTime(wall, this.tz);
+      if (time >= until) break;
+      // Repeated wall times when clocks go back map to an instant already passed, and wall times
+      // skipped when they go forward can land after a later run
+      if (time > from && !runs.includes(time)) {
+        runs.push(time);
+        runs.sort((a, b) => a - b);
+      }
+    }
+    return runs;
+  }
+
+  nextRun(from = Date.now()) {
+    return this.nextRuns(1, from)[0] || null;
+  }
+
+  // Wall-clock times are handled as UTC timestamps so Date's UTC methods do the calendar math
+  nextWallTime(after) {
+    const unit = this.hasSeconds ? 1000 : 60000;
+    let t = Math.floor(after / unit) * unit + unit;
+    const limit = new Date(t).getUTCFullYear() + CronExpression.SEARCH_YEARS;
+
+    while (true) {
+      const d = new Date(t);
+      const [year, month, day, hour, minute] = [d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes()];
+      if (year > limit) return null;
+
+      if (!this.month.values.has(month + 1)) {
+        t = Date.UTC(year, month + 1, 1);
+      } else if (!this.matchesDay(d)) {
+        t = Date.UTC(year, month, day + 1);
+      } else if (!this.hour.values.has(hour)) {
+        t = Date.UTC(year, month, day, hour + 1);
+      } else if (!this.minute.values.has(minute)) {
+        t = Date.UTC(year, month, day, hour, minute + 1);
+      } else if (!this.second.values.has(d.getUTCSeconds())) {
+        t += 1000;
+      } else {
+        return t;
+      }
+    }
+  }
+
+  // Like classic cron, a restricted day-of-month and day-of-week match if either does
+  matchesDay(d) {
+    const day = d.getUTCDate();
+    const weekday = d.getUTCDay();
+    const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+
+    const domMatch = this.dayOfMonth.values.has(day) || (this.dayOfMonth.last && day === lastDay);
+    const dowMatch = this.dayOfWeek.values.has(weekday)
+      || (this.dayOfWeek.lastWeekdays.has(weekday) && day + 7 > lastDay)
+      || this.dayOfWeek.nth.some(({ day: nthDay, n }) => nthDay === weekday && Math.ceil(day / 7) === n);
+
+    if (!this.dayOfMonth.any && !this.dayOfWeek.any) return domMatch || dowMatch;
+    if (!this.dayOfMonth.any) return domMatch;
+    if (!this.dayOfWeek.any) return dowMatch;
+    return true;
+  }
+
+  // Timezone conversion
+  static formatter(tz) {
+    if (!CronExpression.formatters.has(tz)) {
+      CronExpression.formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+        timeZone: tz,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    }
+    return CronExpression.formatters.get(tz);
+  }
+
+  static toWallTime(time, tz) {
+    if (!tz) {
+      const d = new Date(time);
+      return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds());
+    }
+    const parts = {};
+    CronExpression.formatter(tz).formatToParts(new Date(time)).forEach(p => { parts[p.type] = parseInt(p.value); });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  }
+
+  static fromWallTime(wall, tz) {
+    if (!tz) {
+      const d = new Date(wall);
+      return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds()).getTime();
+    }
+    // Guess with the offset at the wall time, then correct once for a DST change in between
+    let time = wall - (CronExpression.toWallTime(wall, tz) - wall);
+    time = wall - (CronExpression.toWallTime(time, tz) - time);
+    // When clocks go back the wall time happens twice - cron runs at the first one
+    const earlier = time - 3600000;
+    if (CronExpression.toWallTime(earlier, tz) === wall) return earlier;
+    // When they go forward it never happens - read it with the offset from before the change,
+    // which lands as far past the gap as the wall time was into it (02:30 becomes 03:30)
+    if (CronExpression.toWallTime(time, tz) !== wall) {
+      const offset = (t) => CronExpression.toWallTime(t, tz) - t;
+      return wall - Math.min(offset(time - 21600000), offset(time + 21600000));
+    }
+    return time;
+  }
+
+  // Descriptions
+  describe() {
+    const time = this.describeTime();
+    const days = this.describeDays() || (time.startsWith('at ') ? 'every day' : null);
+    const text = [time, days, this.describeMonths()].filter(Boolean).join(' ');
+    return text[0].toUpperCase() + text.slice(1);
+  }
+
+  describeTime() {
+    const pad = CronExpression.pad;
+    const isSingles = field => field.parts.every(p => p.start === p.end);
+    const sorted = field => [...field.values].sort((a, b) => a - b);
+    const seconds = this.hasSeconds && !(this.second.values.size === 1 && this.second.values.has(0));
+
+    // Fixed times of day: "at 09:00 and 17:30"
+    if (isSingles(this.minute) && !this.hour.any && (!seconds || (isSingles(this.second) && this.second.values.size === 1))) {
+      const suffix = seconds ? `:${pad(sorted(this.second)[0])}` : '';
+      const times = sorted(this.hour).flatMap(h => sorted(this.minute).map(m => `${pad(h)}:${pad(m)}${suffix}`));
+      if (times.length <= 6) return `at ${CronExpression.joinList(times)}`;
+    }
+
+    let minutePhrase;
+    let hourPhrase = null;
+    const singleMinute = this.minute.values.size === 1 && isSingles(this.minute) ? sorted(this.minute)[0] : null;
+    const hourStep = this.hour.parts.length === 1 && this.hour.parts[0].step > 1 ? this.hour.parts[0] : null;
+
+    if (singleMinute !== null && hourStep) {
+      // "every 3 hours at :00", "every 3 hours from 21:30"
+      minutePhrase = hourStep.star
+        ? `every ${hourStep.step} hours at :${pad(singleMinute)}`
+        : `every ${hourStep.step} hours from ${pad(hourStep.start)}:${pad(singleMinute)}`
+          + (hourStep.end < 23 ? ` until ${pad(hourStep.end)}:${pad(singleMinute)}` : '');
+    } else {
+      if (this.minute.any) {
+        minutePhrase = 'every minute';
+      } else if (singleMinute !== null) {
+        minutePhrase = `every hour at :${pad(singleMinute)}`;
+      } else if (isSingles(this.minute)) {
+        minutePhrase = `every hour at ${CronExpression.joinList(sorted(this.minute).map(m => `:${pad(m)}`))}`;
+      } else {
+        minutePhrase = CronExpression.joinList(this.minute.parts.map(p => p.step === 1 && p.start !== p.end
+          ? `every minute from :${pad(p.start)} through :${pad(p.end)}`
+          : this.describePart(p, { unit: 'minute', format: m => `:${pad(m)}`, max: 59 })));
+      }
+
+      if (!this.hour.any) {
+        const [first] = this.hour.parts;
+        if (this.hour.parts.length === 1 && first.step === 1) {
+          hourPhrase = ` between ${pad(first.start)}:00 and ${pad(first.end)}:59`;
+        } else {
+          hourPhrase = `, ${CronExpression.joinList(this.hour.parts.map(p => p.step === 1
+            ? `${pad(p.start)}:00-${pad(p.end)}:59`
+            : this.describePart(p, { unit: 'hour', format: h => `${pad(h)}:00`, max: 23 })))}`;
+        }
+      }
+    }
+
+    let phrase = minutePhrase + (hourPhrase || '');
+    if (seconds) {
+      const secondPhrase = isSingles(this.second)
+        ? `at second ${CronExpression.joinList(sorted(this.second))}`
+        : this.second.any
+          ? 'every second'
+          : CronExpression.joinList(this.second.parts.map(p => this.describePart(p, { unit: 'second', format: s => `:${pad(s)}`, max: 59 })));
+      phrase = this.minute.any && this.hour.any ? secondPhrase : `${secondPhrase}, ${phrase}`;
+    }
+    return phrase;
+  }
+
+  describeDays() {
+    const ordinal = CronExpression.ordinal;
+    let domPhrase = null;
+    let dowPhrase = null;
+
+    if (!this.dayOfMonth.any) {
+      domPhrase = `on ${CronExpression.joinList(this.dayOfMonth.parts.map(p => {
+        if (p.last) return 'the last day';
+        if (p.start === p.end) return `the ${ordinal(p.start)}`;
+        if (p.step === 1) return `the ${ordinal(p.start)} through the ${ordinal(p.end)}`;
+        return `every ${ordinal(p.step)} day` + (p.star ? '' : ` from the ${ordinal(p.start)}`);
+      }))} of the month`;
+    }
+
+    if (!this.dayOfWeek.any) {
+      const dayName = d => CronExpression.DAYS[d % 7];
+      dowPhrase = `on ${CronExpression.joinList(this.dayOfWeek.parts.map(p => {
+        if (p.lastWeekday !== undefined) return `the last ${dayName(p.lastWeekday)} of the month`;
+        if (p.nthWeekday !== undefined) return `the ${ordinal(p.n)} ${dayName(p.nthWeekday)} of the month`;
+        if (p.start === p.end) return dayName(p.start);
+        if (p.step === 1) return `${dayName(p.start)} through ${dayName(p.end)}`;
+        return `every ${ordinal(p.step)} day of the week` + (p.star ? '' : ` from ${dayName(p.start)}`);
+      }))}`;
+    }
+
+    if (domPhrase && dowPhrase) return `${domPhrase} or ${dowPhrase}`;
+    return domPhrase || dowPhrase;
+  }
+
+  describeMonths() {
+    if (this.month.any) return null;
+    const monthName = m => CronExpression.MONTHS[m - 1];
+    const parts = this.month.parts.map(p => {
+      if (p.start === p.end) return monthName(p.start);
+      if (p.step === 1) return `${monthName(p.start)} through ${monthName(p.end)}`;
+      return `every ${p.step} months` + (p.star ? '' : ` from ${monthName(p.start)}`);
+    });
+    return parts.length === 1 && parts[0].startsWith('every') ? parts[0] : `in ${CronExpression.joinList(parts)}`;
+  }
+
+  // "every 15 minutes", "every 10 minutes from :05", ":00 through :30"
+  describePart(part, { unit, format, max }) {
+    if (part.start === part.end) return format(part.start);
+    if (part.step === 1) return `${format(part.start)} through ${format(part.end)}`;
+    let phrase = `every ${part.step} ${unit}s`;
+    if (!part.star) phrase += ` from ${format(part.start)}`;
+    if (!part.star && part.end < max) phrase += ` through ${format(part.end)}`;
+    return phrase;
+  }
+
+  static pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  static ordinal(n) {
+    const suffix = ['th', 'st', 'nd', 'rd'];
+    const v = n % 100;
+    return n + (suffix[(v - 20) % 10] || suffix[v] || suffix[0]);
+  }
+
+  static joinList(items) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+  }
+}
@@ -0,0 +1,88 @@
+// Per-device signing key used to answer the gateway's connect challenge
+// The private key is generated non-exportable and only ever lives in IndexedDB
+
+class DeviceIdentity {
+  static RECORD_KEY = 'device';
+  static KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+  static SIGN_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+  constructor(db) {
+    this.db = db;
+    this.keyPair = null;
+    this.deviceId = null;
+    this.publicKey = null; // base64 SPKI
+    this.createdAt = null;
+  }
+
+  // WebCrypto is only exposed in secure contexts (https or localhost)
+  isSupported() {
+    return !!(window.isSecureContext && window.crypto?.subtle && this.db.isSupported());
+  }
+
+  // Load the stored key pair, generating one on first use
+  async load() {
+    if (this.keyPair) return this;
+
+    const record = await this.db.get('keys', DeviceIdentity.RECORD_KEY);
+    if (record?.keyPair) {
+      this.applyRecord(record);
+      return this;
+    }
+    return this.generate();
+  }
+
+  async generate() {
+    const keyPair = await crypto.subtle.generateKey(DeviceIdentity.KEY_ALGORITHM, false, ['sign', 'verify']);
+    const spki = await crypto.subtle.exportKey('spki', keyPair.publicKey);
+    const digest = await crypto.subtle.digest('SHA-256', spki);
+
+    const record = {
+      keyPair,
+      deviceId: 'ether-portal-' + DeviceIdentity.toHex(digest).slice(0, 32),
+      publicKey: DeviceIdentity.toBase64(spki),
+      createdAt: Date.now()
+    };
+    await this.db.put('keys', record, DeviceIdentity.RECORD_KEY);
+    this.applyRecord(record);
+    console.log('[Device] Generated new device key pair:', record.deviceId);
+    return this;
+  }
+
+  applyRecord(record) {
+    this.keyPair = record.keyPair;
+    this.deviceId = record.deviceId;
+    this.publicKey = record.publicKey;
+    this.createdAt = record.createdAt;
+  }
+
+  // Signature is raw r||s (IEEE P1363), base64 encoded
+  async sign(nonce) {
+    await this.load();
+    const data = new TextEncoder().encode(nonce);
+    const signature = await crypto.subtle.sign(DeviceIdentity.SIGN_ALGORITHM, this.keyPair.privateKey, data);
+    return DeviceIdentity.toBase64(signature);
+  }
+
+  async rotate() {
+    await this.revoke();
+    return this.generate();
+  }
+
+  async revoke() {
+    await this.db.delete('keys', DeviceIdentity.RECORD_KEY);
+    this.keyPair = null;
+    this.deviceId = null;
+    this.publicKey = null;
+    this.createdAt = null;
+  }
+
+  static toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  }
+
+  static toHex(buffer) {
+    return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+}
+
+window.deviceIdentity = new DeviceIdentity(window.portalDb);
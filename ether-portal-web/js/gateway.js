@@ -1,12 +1,63 @@
 // Gateway WebSocket Client for OpenClaw
 // Protocol v3 compliant with proper challenge handling
 
+// Error for a failed request; `code` says why (one of the static codes, or the gateway's own)
+class GatewayRequestError extends Error {
+  static NOT_CONNECTED = 'NOT_CONNECTED';
+  static DISCONNECTED = 'DISCONNECTED';
+  static TIMEOUT = 'TIMEOUT';
+  static ABORTED = 'ABORTED';
+  static REQUEST_FAILED = 'REQUEST_FAILED';
+
+  constructor(message, code, method = null, details = null) {
+    super(message);
+    this.name = 'GatewayRequestError';
+    this.code = code;
+    this.method = method;
+    this.details = details; // Server-provided error details, e.g. the invalid field
+  }
+
+  get aborted() {
+    return this.code === GatewayRequestError.ABORTED;
+  }
+}
+
 class GatewayClient {
   static VERSION = '1.2.0';
+  // Write actions that may be held in the offline queue
+  static QUEUEABLE_METHODS = ['sessions.send', 'cron.run', 'cron.update'];
+  // Request timeouts; anything not listed uses DEFAULT_TIMEOUT_MS
+  static DEFAULT_TIMEOUT_MS = 30000;
+  static METHOD_TIMEOUTS = {
+    'health': 10000,
+    'gateway.status': 10000,
+    'system-presence': 10000,
+    'sessions.list': 20000,
+    'cron.list': 20000,
+    'sessions.history': 45000,
+    'cron.run': 60000,
+    'sessions.send': 120000,
+    'sessions.compact': 120000
+  };
   
   constructor() {
     this.ws = null;
-    this.config = { host: '', port: 18789, token: '', autoReconnect: true };
+    this.config = {
+      profileId: null,
+      host: '',
+      port: 18789,
+      token: '',
+      useTls: false,
+      autoReconnect: true,
+      offlineQueue: false,
+      // Reconnection policy
+      maxReconnectAttempts: 10,
+      reconnectJitter: true,
+      keepTrying: true,
+      keepTryingSeconds: 60,
+      reconnectOnNetwork: true,
+      reconnectOnFocus: true
+    };
     this.connected = false;
     this.requestId = 0;
     this.pendingRequests = new Map();
@@ -15,22 +66,42 @@ class GatewayClient {
     this.pingInterval = null;
     this.lastPong = null;
     this.connectionAttempts = 0;
-    this.maxReconnectAttempts = 10;
+    this.reconnectPending = false; // A dropped connection we are still trying to restore
+    this.slowRetry = false; // Past maxReconnectAttempts, retrying at keepTryingSeconds
+    this.browserListeners = null;
     this.challengeNonce = null;
     this.deviceId = null;
     this.connectPromise = null;
     this.connectionStartTime = null;
     this.serverInfo = null;
     this.messageStats = { sent: 0, received: 0 };
+    this.traffic = new TrafficRecorder();
+    this.metrics = new ConnectionMetrics();
+    this.lastPingSentAt = null;
     this.lastError = null;
     this.heartbeatMissed = 0;
     this.maxHeartbeatMissed = 3;
+    // Event tracking for resync after a reconnect
+    this.lastEventSeq = null;
+    this.lastEventAt = null;
+    this.disconnectedAt = null;
+    this.resyncing = false;
+    this.bufferedEvents = []; // Live events held back until a replay finishes
   }
 
   configure(config) {
     this.config = { ...this.config, ...config };
   }
 
+  // Device tokens are issued per gateway, so each profile keeps its own
+  static deviceTokenKey(profileId) {
+    return profileId ? `ether-portal-device-token:${profileId}` : 'ether-portal-device-token';
+  }
+
+  getDeviceTokenKey() {
+    return GatewayClient.deviceTokenKey(this.config.profileId);
+  }
+
   getWsUrl() {
     const protocol = this.config.useTls ? 'wss' : 'ws';
     return `${protocol}://${this.config.host}:${this.config.port}/ws`;
@@ -50,7 +121,7 @@ class GatewayClient {
     };
   }
 
-  // Generate or retrieve stable device ID
+  // Fallback device ID from a browser fingerprint, used when WebCrypto is unavailable
   getDeviceId() {
     if (this.deviceId) return this.deviceId;
     
@@ -91,6 +162,7 @@ class GatewayClient {
       return this.connectPromise;
     }
 
+    this.watchBrowser();
     this.connectPromise = new Promise((resolve, reject) => {
       this.connectionAttempts++;
       this.lastError = null;
@@ -98,7 +170,7 @@ class GatewayClient {
       try {
         const url = this.getWsUrl();
         console.log(`[Gateway] Connecting to ${url} (attempt ${this.connectionAttempts})...`);
-        this.emit('connecting', { attempt: this.connectionAttempts, url, maxAttempts: this.maxReconnectAttempts });
+        this.emit('connecting', { attempt: this.connectionAttempts, url, maxAttempts: this.config.maxReconnectAttempts });
         
         this.ws = new WebSocket(url);
         
@@ -121,18 +193,27 @@ class GatewayClient {
 
         this.ws.onmessage = (event) => {
           this.messageStats.received++;
+          let data;
           try {
-            const data = JSON.parse(event.data);
-            this.handleMessage(data, resolve, reject);
+            data = JSON.parse(event.data);
           } catch (e) {
             console.error('[Gateway] Failed to parse message:', e, event.data);
+            this.traffic.record('in', { type: 'unparsed', raw: String(event.data).slice(0, 2000) }, event.data.length);
             this.emit('parse_error', { error: e.message, data: event.data });
+            return;
+          }
+          this.traffic.record('in', data, event.data.length);
+          try {
+            this.handleMessage(data, resolve, reject);
+          } catch (e) {
+            console.error('[Gateway] Failed to handle message:', e, data);
           }
         };
 
         this.ws.onclose = (event) => {
           clearTimeout(timeout);
           const wasConnected = this.connected;
+          if (wasConnected) this.disconnectedAt = Date.now();
           console.log('[Gateway] WebSocket closed:', event.code, event.reason);
           this.connected = false;
           this.connectPromise = null;
@@ -142,6 +223,7 @@ class GatewayClient {
           // Interpret close codes
           let closeReason = event.reason || this.interpretCloseCode(event.code);
           this.lastError = closeReason;
+          this.rejectAllPending(`Connection closed: ${closeReason}`);
           
           this.emit('disconnected', { 
             code: event.code, 
@@ -208,19 +290,28 @@ class GatewayClient {
       console.log('[Gateway] Received challenge, nonce:', data.payload?.nonce?.slice(0, 16) + '...');
       this.challengeNonce = data.payload?.nonce;
       this.emit('challenge_received', { nonce: this.challengeNonce });
-      this.sendConnectRequest();
+      this.sendConnectRequest().catch(err => {
+        console.error('[Gateway] Failed to send connect request:', err);
+        this.lastError = err.message;
+        if (connectReject) connectReject(err);
+      });
       return;
     }
 
     // Handle connect response (hello-ok)
     if (data.type === 'res') {
       // Check if this is a response to our connect request
-      const pending = this.pendingRequests.get(data.id);
+      const pending = this.takePending(data.id);
+      if (pending?.sentAt) {
+        this.metrics.recordResponse(pending.method, Date.now() - pending.sentAt, data.ok !== false);
+      }
       
       if (data.payload?.type === 'hello-ok') {
         console.log('[Gateway] Connected successfully! Protocol:', data.payload.protocol);
         this.connected = true;
         this.connectionAttempts = 0;
+        this.reconnectPending = false;
+        this.slowRetry = false;
         this.connectionStartTime = Date.now();
         this.heartbeatMissed = 0;
         
@@ -233,17 +324,33 @@ class GatewayClient {
         
         // Store device token if provided
         if (data.payload.auth?.deviceToken) {
-          localStorage.setItem('ether-portal-device-token', data.payload.auth.deviceToken);
-          console.log('[Gateway] Device token received and stored');
+          vault.set(this.getDeviceTokenKey(), data.payload.auth.deviceToken)
+            .then(() => console.log('[Gateway] Device token received and stored'))
+            .catch(err => console.warn('[Gateway] Could not store device token:', err.message));
         }
         
+        // Event numbers start over with each gateway process. A fresh connection takes the
+        // gateway's current seq as its baseline; a resumed one keeps its own for the replay
+        // unless the gateway is now behind it, i.e. it restarted
+        const helloSeq = data.payload.seq ?? data.payload.lastSeq ?? null;
+        const restarted = helloSeq != null && this.lastEventSeq != null && helloSeq < this.lastEventSeq;
+        if (!this.disconnectedAt || restarted) this.lastEventSeq = helloSeq;
+        
         this.startPing();
         this.emit('connected', { protocol: data.payload.protocol });
         
-        if (pending) {
-          this.pendingRequests.delete(data.id);
-          pending.resolve(data.payload);
+        // Coming back from a drop - fetch whatever happened while we were away
+        if (restarted) {
+          this.onGatewayRestart();
+        } else if (this.disconnectedAt) {
+          this.resync().catch(err => console.error('[Gateway] Resync failed:', err));
+        }
+        
+        if (this.config.offlineQueue) {
+          requestQueue.replay(this).catch(err => console.error('[Gateway] Queue replay failed:', err));
         }
+        
+        if (pending) pending.resolve(data.payload);
         if (connectResolve) connectResolve(data.payload);
         return;
       }
@@ -254,8 +361,7 @@ class GatewayClient {
         console.error('[Gateway] Connect error:', errorMsg);
         
         if (pending) {
-          this.pendingRequests.delete(data.id);
-          pending.reject(new Error(errorMsg));
+          pending.reject(new GatewayRequestError(errorMsg, data.error.code || GatewayRequestError.REQUEST_FAILED, pending.method, data.error.details));
         }
         if (connectReject) connectReject(new Error(errorMsg));
         return;
@@ -263,13 +369,15 @@ class GatewayClient {
 
       // Handle regular response
       if (data.id && pending) {
-        this.pendingRequests.delete(data.id);
         if (data.ok) {
           pending.resolve(data.payload);
         } else {
-          const error = new Error(data.error?.message || 'Request failed');
-          error.code = data.error?.code;
-          pending.reject(error);
+          pending.reject(new GatewayRequestError(
+            data.error?.message || 'Request failed',
+            data.error?.code || GatewayRequestError.REQUEST_FAILED,
+            pending.method,
+            data.error?.details
+          ));
         }
         return;
       }
@@ -278,15 +386,10 @@ class GatewayClient {
     // Handle events
     if (data.type === 'event') {
       console.log('[Gateway] Event:', data.event);
-      this.emit(data.event, data.payload);
-      
-      // Special handling for specific events
-      if (data.event === 'cron.job.started') {
-        this.emit('job_started', data.payload);
-      } else if (data.event === 'cron.job.completed') {
-        this.emit('job_completed', data.payload);
-      } else if (data.event === 'session.message') {
-        this.emit('session_message', data.payload);
+      if (this.resyncing) {
+        this.bufferedEvents.push(data);
+      } else {
+        this.dispatchEvent(data);
       }
       return;
     }
@@ -295,15 +398,133 @@ class GatewayClient {
     if (data.type === 'pong') {
       this.lastPong = Date.now();
       this.heartbeatMissed = 0;
+      if (this.lastPingSentAt) {
+        this.metrics.recordRtt(this.lastPong - this.lastPingSentAt);
+        this.lastPingSentAt = null;
+      }
       return;
     }
 
     console.log('[Gateway] Unhandled message:', data);
   }
 
-  sendConnectRequest() {
-    const deviceId = this.getDeviceId();
-    const storedToken = localStorage.getItem('ether-portal-device-token');
+  // Emit a gateway event; replayed events are flagged so the UI can skip toasts and sounds
+  dispatchEvent(data, replayed = false, checkGap = !replayed) {
+    const isDelta = data.event === 'session.message.delta' || data.event === 'session.message.chunk';
+    
+    if (data.seq != null) {
+      // A live event numbered below the last one means the gateway restarted and counts from 1 again
+      if (checkGap && this.lastEventSeq != null && data.seq < this.lastEventSeq) {
+        console.warn(`[Gateway] Event seq went back from ${this.lastEventSeq} to ${data.seq} - gateway restarted`);
+        this.onGatewayRestart();
+      }
+      // Already seen (replay overlapping live events)
+      if (this.lastEventSeq != null && data.seq <= this.lastEventSeq) return;
+      // A hole in the live sequence means frames were dropped - replay first, then this event
+      if (checkGap && this.lastEventSeq != null && data.seq > this.lastEventSeq + 1) {
+        console.warn(`[Gateway] Event gap: expected seq ${this.lastEventSeq + 1}, got ${data.seq}`);
+        this.resync().catch(err => console.error('[Gateway] Resync failed:', err));
+        this.bufferedEvents.push(data);
+        return;
+      }
+      this.lastEventSeq = data.seq;
+    }
+    this.lastEventAt = data.ts || data.payload?.ts || data.payload?.timestamp || Date.now();
+    
+    // Streaming chunks of a reply that has since finished are noise
+    if (replayed && isDelta) return;
+    
+    const payload = replayed && data.payload && typeof data.payload === 'object'
+      ? { ...data.payload, replayed: true }
+      : data.payload;
+    this.emit(data.event, payload);
+    
+    // Special handling for specific events
+    if (data.event === 'cron.job.started') {
+      this.emit('job_started', payload);
+    } else if (data.event === 'cron.job.completed') {
+      this.emit('job_completed', payload);
+    } else if (data.event === 'session.message') {
+      this.emit('session_message', payload);
+    } else if (isDelta) {
+      this.emit('session_delta', payload);
+    }
+  }
+
+  // Whatever happened before a restart can't be replayed - start counting again and have the UI refresh
+  onGatewayRestart() {
+    const since = this.disconnectedAt || this.lastEventAt || Date.now();
+    this.disconnectedAt = null;
+    this.lastEventSeq = null;
+    this.bufferedEvents = [];
+    this.emit('resync', { since, until: Date.now(), mode: 'refresh', count: 0, reason: 'Gateway restarted', restarted: true });
+  }
+
+  // Ask the gateway for events we missed; if it can't replay them, tell the UI to refresh everything
+  async resync() {
+    if (this.resyncing) return;
+    this.resyncing = true;
+    
+    const since = this.disconnectedAt || this.lastEventAt || Date.now();
+    // Also called for a gap on a live connection, where nothing was reloaded on connect
+    const gap = { since, until: Date.now(), reconnected: this.disconnectedAt != null };
+    this.disconnectedAt = null;
+    
+    try {
+      const result = await this.send('events.replay', {
+        sinceSeq: this.lastEventSeq,
+        sinceMs: this.lastEventAt ?? since
+      });
+      if (result?.truncated) {
+        throw new Error('Replay window exceeded');
+      }
+      
+      const events = (result?.events || []).filter(e => e?.event);
+      this.emit('replay_start', { ...gap, events });
+      events.forEach(event => this.dispatchEvent(event, true));
+      console.log(`[Gateway] Replayed ${events.length} missed events`);
+      this.emit('resync', { ...gap, mode: 'replay', count: events.length });
+    } catch (e) {
+      console.warn('[Gateway] Event replay unavailable, falling back to full refresh:', e.message);
+      this.emit('resync', { ...gap, mode: 'refresh', count: 0, reason: e.message });
+    } finally {
+      this.resyncing = false;
+      const buffered = this.bufferedEvents;
+      this.bufferedEvents = [];
+      // Whatever the replay could not fill stays a gap; don't loop on it
+      buffered.forEach(event => this.dispatchEvent(event, false, false));
+    }
+  }
+
+  // Device block for the connect request - signs the challenge nonce when a device key is available
+  async buildDeviceBlock() {
+    const device = {
+      id: this.getDeviceId(),
+      displayName: 'Ether Portal Web'
+    };
+    if (!deviceIdentity.isSupported()) return device;
+
+    try {
+      const identity = await deviceIdentity.load();
+      this.deviceId = identity.deviceId;
+      device.id = identity.deviceId;
+      device.publicKey = identity.publicKey;
+      device.algorithm = 'ES256';
+      if (this.challengeNonce) {
+        device.nonce = this.challengeNonce;
+        device.signature = await identity.sign(this.challengeNonce);
+        device.signedAt = Date.now();
+      }
+    } catch (e) {
+      console.warn('[Gateway] Device key unavailable, using fingerprint ID:', e);
+    }
+    return device;
+  }
+
+  async sendConnectRequest() {
+    const device = await this.buildDeviceBlock();
+    const deviceId = device.id;
+    const storedToken = vault.get(this.getDeviceTokenKey());
     
     // Build auth object
     const auth = {};
@@ -327,10 +548,7 @@ class GatewayClient {
           platform: this.detectPlatform(),
           mode: 'ui'
         },
-        device: {
-          id: deviceId,
-          displayName: 'Ether Portal Web'
-        },
+        device,
         role: 'operator',
         scopes: ['operator.read', 'operator.write'],
         caps: [],
@@ -342,14 +560,46 @@ class GatewayClient {
       }
     };
 
+    // Socket may have closed while we were signing
+    if (this.ws?.readyState !== WebSocket.OPEN) return;
+
     // Create a pending request entry for the connect
     this.pendingRequests.set(requestId, {
       resolve: () => {},
-      reject: () => {}
+      reject: () => {},
+      method: 'connect',
+      sentAt: Date.now()
     });
 
-    console.log('[Gateway] Sending connect request, deviceId:', deviceId);
-    this.ws.send(JSON.stringify(request));
+    console.log('[Gateway] Sending connect request, deviceId:', deviceId, device.signature ? '(signed)' : '(unsigned)');
+    try {
+      this.sendFrame(request);
+    } catch (e) {
+      this.pendingRequests.delete(requestId);
+      throw e;
+    }
+  }
+
+  // Every outgoing frame goes through here so it is counted and recorded
+  sendFrame(frame) {
+    const raw = JSON.stringify(frame);
+    this.ws.send(raw);
+    this.messageStats.sent++;
+    this.traffic.record('out', frame, raw.length);
+    return raw.length;
+  }
+
+  // Report how much of a just-sent frame has left the browser, from the socket's send buffer
+  watchUpload(id, bytes, bufferedBefore, onProgress) {
+    const ws = this.ws;
+    const tick = () => {
+      const remaining = Math.min(bytes, Math.max(0, ws.bufferedAmount - bufferedBefore));
+      onProgress(1 - remaining / bytes);
+      if (remaining > 0 && ws.readyState === WebSocket.OPEN && this.pendingRequests.has(id)) {
+        setTimeout(tick, 100);
+      }
+    };
+    tick();
   }
 
   detectPlatform() {
@@ -366,10 +616,22 @@ class GatewayClient {
     return `req_${++this.requestId}_${Date.now()}`;
   }
 
-  send(method, params = {}) {
+  getTimeout(method) {
+    return GatewayClient.METHOD_TIMEOUTS[method] ?? GatewayClient.DEFAULT_TIMEOUT_MS;
+  }
+
+  // options.signal - AbortSignal that cancels the request
+  // options.timeoutMs - overrides the per-method default
+  // options.onUploadProgress - called with 0..1 while a large request is being sent
+  send(method, params = {}, options = {}) {
     return new Promise((resolve, reject) => {
+      const { signal } = options;
+      if (signal?.aborted) {
+        reject(new GatewayRequestError(`Request cancelled: ${method}`, GatewayRequestError.ABORTED, method));
+        return;
+      }
       if (!this.connected || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
-        reject(new Error('Not connected to gateway'));
+        reject(new GatewayRequestError('Not connected to gateway', GatewayRequestError.NOT_CONNECTED, method));
         return;
       }
 
@@ -381,20 +643,69 @@ class GatewayClient {
         params
       };
 
-      this.pendingRequests.set(id, { resolve, reject, method, sentAt: Date.now() });
-      this.ws.send(JSON.stringify(request));
-      this.messageStats.sent++;
+      const timeoutMs = options.timeoutMs ?? this.getTimeout(method);
+      const pending = { resolve, reject, method, sentAt: Date.now(), signal, timer: null, onAbort: null };
+      pending.timer = setTimeout(() => {
+        this.failRequest(id, new GatewayRequestError(`Request timeout for ${method} after ${Math.round(timeoutMs / 1000)}s`, GatewayRequestError.TIMEOUT, method));
+      }, timeoutMs);
+      if (signal) {
+        pending.onAbort = () => {
+          this.failRequest(id, new GatewayRequestError(`Request cancelled: ${method}`, GatewayRequestError.ABORTED, method));
+        };
+        signal.addEventListener('abort', pending.onAbort, { once: true });
+      }
 
-      // Timeout after 30s with better error message
-      setTimeout(() => {
-        if (this.pendingRequests.has(id)) {
-          this.pendingRequests.delete(id);
-          reject(new Error(`Request timeout for ${method}`));
-        }
-      }, 30000);
+      this.pendingRequests.set(id, pending);
+      const bufferedBefore = this.ws.bufferedAmount;
+      const bytes = this.sendFrame(request);
+      if (options.onUploadProgress) this.watchUpload(id, bytes, bufferedBefore, options.onUploadProgress);
+    });
+  }
+
+  // Remove a pending request and release its timer and abort listener
+  takePending(id) {
+    const pending = this.pendingRequests.get(id);
+    if (!pending) return null;
+    this.pendingRequests.delete(id);
+    clearTimeout(pending.timer);
+    if (pending.onAbort) pending.signal.removeEventListener('abort', pending.onAbort);
+    return pending;
+  }
+
+  failRequest(id, error) {
+    const pending = this.takePending(id);
+    if (pending) pending.reject(error);
+  }
+
+  // Nothing in flight will get an answer once the socket is gone
+  rejectAllPending(reason) {
+    [...this.pendingRequests.keys()].forEach(id => {
+      const method = this.pendingRequests.get(id).method;
+      this.failRequest(id, new GatewayRequestError(reason, GatewayRequestError.DISCONNECTED, method));
     });
   }
 
+  newIdempotencyKey() {
+    if (window.crypto?.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  // Send a write action; while offline it is parked in the queue instead of failing
+  // Resolves with { queued: true, queueId } when queued
+  async sendWrite(method, params = {}) {
+    // Only queueable writes can be replayed, so only they need a key to dedupe on
+    if (!GatewayClient.QUEUEABLE_METHODS.includes(method)) return this.send(method, params);
+
+    const payload = { ...params, idempotencyKey: params.idempotencyKey || this.newIdempotencyKey() };
+    if (this.isConnected() || !this.config.offlineQueue) {
+      return this.send(method, payload);
+    }
+    
+    const item = await requestQueue.enqueue({ profileId: this.config.profileId, method, params: payload });
+    this.emit('queued', { item });
+    return { queued: true, queueId: item.id };
+  }
+
   startPing() {
     this.stopPing();
     this.lastPong = Date.now();
@@ -415,10 +726,18 @@ class GatewayClient {
             return;
           }
         }
-        this.ws.send(JSON.stringify({ type: 'ping' }));
-        this.messageStats.sent++;
+        this.sendPing();
       }
     }, 25000);
+    
+    // Measure a round-trip straight away rather than waiting for the first interval
+    this.sendPing();
+  }
+
+  sendPing() {
+    if (this.ws?.readyState !== WebSocket.OPEN) return;
+    this.lastPingSentAt = Date.now();
+    this.sendFrame({ type: 'ping' });
   }
 
   stopPing() {
@@ -430,7 +749,10 @@ class GatewayClient {
 
   disconnect() {
     this.stopPing();
+    this.unwatchBrowser();
     this.connectionAttempts = 0;
+    this.reconnectPending = false;
+    this.slowRetry = false;
     this.config.autoReconnect = false; // Prevent auto-reconnect on manual disconnect
     
     if (this.reconnectTimer) {
@@ -445,7 +767,7 @@ class GatewayClient {
     
     this.connected = false;
     this.connectPromise = null;
-    this.pendingRequests.clear();
+    this.rejectAllPending('Disconnected from gateway');
     this.connectionStartTime = null;
     this.serverInfo = null;
   }
@@ -458,24 +780,47 @@ class GatewayClient {
     this.lastError = null;
   }
 
-  // Reconnect with exponential backoff
+  // Reconnect with exponential backoff, then fall back to a slow retry if the profile allows it
   scheduleReconnect() {
     if (this.reconnectTimer) return;
-    if (this.connectionAttempts >= this.maxReconnectAttempts) {
-      console.error('[Gateway] Max reconnection attempts reached');
-      this.lastError = 'Max reconnection attempts reached';
-      this.emit('max_reconnects', { attempts: this.connectionAttempts });
+    this.reconnectPending = true;
+    
+    // Attempts would only fail while the browser knows it is offline - wait for 'online'
+    if (this.config.reconnectOnNetwork && navigator.onLine === false) {
+      console.log('[Gateway] Offline - waiting for the network to return');
+      this.emit('waiting_for_network');
       return;
     }
-
-    // Exponential backoff: 1s, 2s, 4s, 8s, 16s, 32s (capped)
-    const delay = Math.min(1000 * Math.pow(2, this.connectionAttempts - 1), 32000);
-    console.log(`[Gateway] Reconnecting in ${delay}ms (attempt ${this.connectionAttempts + 1}/${this.maxReconnectAttempts})...`);
+    
+    let delay;
+    if (this.connectionAttempts >= this.config.maxReconnectAttempts) {
+      if (!this.slowRetry) {
+        console.error('[Gateway] Max reconnection attempts reached');
+        this.lastError = 'Max reconnection attempts reached';
+        this.slowRetry = true;
+        this.emit('max_reconnects', {
+          attempts: this.connectionAttempts,
+          keepTrying: this.config.keepTrying,
+          intervalMs: this.config.keepTryingSeconds * 1000
+        });
+      }
+      if (!this.config.keepTrying) return;
+      delay = this.config.keepTryingSeconds * 1000;
+    } else {
+      // Exponential backoff: 1s, 2s, 4s, 8s, 16s, 32s (capped)
+      delay = Math.min(1000 * Math.pow(2, this.connectionAttempts - 1), 32000);
+    }
+    // Spread retries out so many tabs don't hit a restarted gateway at the same moment
+    if (this.config.reconnectJitter) {
+      delay = Math.round(delay * (0.75 + Math.random() * 0.5));
+    }
+    console.log(`[Gateway] Reconnecting in ${delay}ms (attempt ${this.connectionAttempts + 1}/${this.config.maxReconnectAttempts})...`);
     
     this.emit('reconnecting', { 
       attempt: this.connectionAttempts + 1, 
-      maxAttempts: this.maxReconnectAttempts,
-      delayMs: delay 
+      maxAttempts: this.config.maxReconnectAttempts,
+      delayMs: delay,
+      keepTrying: this.slowRetry
     });
     
     this.reconnectTimer = setTimeout(() => {
@@ -489,6 +834,78 @@ class GatewayClient {
     }, delay);
   }
 
+  // Skip the backoff wait and try straight away
+  reconnectNow(reason) {
+    if (!this.reconnectPending || !this.config.autoReconnect) return;
+    if (this.connected || this.connectPromise) return;
+    
+    console.log(`[Gateway] ${reason} - reconnecting now`);
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.connectionAttempts = 0;
+    this.slowRetry = false;
+    this.emit('reconnect_now', { reason });
+    
+    this.connect().catch(err => {
+      console.error('[Gateway] Reconnect failed:', err.message);
+      if (this.config.autoReconnect) {
+        this.scheduleReconnect();
+      }
+    });
+  }
+
+  // Browser network/visibility hooks, attached while the client wants a connection
+  watchBrowser() {
+    if (this.browserListeners) return;
+    this.browserListeners = {
+      online: () => this.handleOnline(),
+      offline: () => this.handleOffline(),
+      visibilitychange: () => this.handleVisibilityChange()
+    };
+    window.addEventListener('online', this.browserListeners.online);
+    window.addEventListener('offline', this.browserListeners.offline);
+    document.addEventListener('visibilitychange', this.browserListeners.visibilitychange);
+  }
+
+  unwatchBrowser() {
+    if (!this.browserListeners) return;
+    window.removeEventListener('online', this.browserListeners.online);
+    window.removeEventListener('offline', this.browserListeners.offline);
+    document.removeEventListener('visibilitychange', this.browserListeners.visibilitychange);
+    this.browserListeners = null;
+  }
+
+  handleOnline() {
+    if (!this.config.reconnectOnNetwork) return;
+    this.reconnectNow('Network is back');
+  }
+
+  handleOffline() {
+    if (!this.config.reconnectOnNetwork) return;
+    console.warn('[Gateway] Browser went offline');
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      this.emit('waiting_for_network');
+    }
+    // Drop the socket now instead of waiting for missed heartbeats, so writes queue right away
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.close(4000, 'Network offline');
+    }
+  }
+
+  handleVisibilityChange() {
+    if (document.visibilityState !== 'visible') return;
+    if (this.isConnected()) {
+      // Background tabs throttle timers - check the socket is still alive
+      this.sendPing();
+    } else if (this.config.reconnectOnFocus) {
+      this.reconnectNow('Tab focused');
+    }
+  }
+
   // Cancel scheduled reconnection
   cancelReconnect() {
     if (this.reconnectTimer) {
@@ -539,55 +956,128 @@ class GatewayClient {
   }
 
   // API Methods
-  async getStatus() {
-    return this.send('gateway.status');
+  // Read methods take trailing request options ({ signal, timeoutMs }) for send()
+  async getStatus(requestOptions) {
+    return this.send('gateway.status', {}, requestOptions);
   }
 
-  async getHealth() {
-    return this.send('health');
+  async getHealth(requestOptions) {
+    return this.send('health', {}, requestOptions);
   }
 
-  async getSessions(options = {}) {
+  async getSessions(options = {}, requestOptions) {
     return this.send('sessions.list', { 
       messageLimit: options.messageLimit ?? 0,
       activeMinutes: options.activeMinutes ?? 60 * 24 // Last 24 hours
-    });
+    }, requestOptions);
   }
 
-  async getCronJobs() {
-    return this.send('cron.list');
+  async getCronJobs(requestOptions) {
+    return this.send('cron.list', {}, requestOptions);
   }
 
   async runCronJob(jobId) {
-    return this.send('cron.run', { jobId, runMode: 'force' });
+    return this.sendWrite('cron.run', { jobId, runMode: 'force' });
   }
 
   async toggleCronJob(jobId, enabled) {
-    return this.send('cron.update', { jobId, patch: { enabled } });
+    return this.sendWrite('cron.update', { jobId, patch: { enabled } });
+  }
+
+  async getCronRuns(jobId, limit = 50, requestOptions) {
+    return this.send('cron.runs', { jobId, limit }, requestOptions);
+  }
+
+  async addCronJob(job) {
+    return this.sendWrite('cron.add', job);
+  }
+
+  async updateCronJob(jobId, patch) {
+    return this.sendWrite('cron.update', { jobId, patch });
+  }
+
+  async removeCronJob(jobId) {
+    return this.sendWrite('cron.remove', { jobId });
+  }
+
+  // Abort the agent run in progress for a session (a running job's isolated session, say)
+  async abortSessionRun(sessionKey, runId = null) {
+    return this.send('chat.abort', runId ? { sessionKey, runId } : { sessionKey });
+  }
+
+  // Whether hello-ok advertised a method; null when the gateway didn't list its methods
+  supports(method) {
+    const features = this.serverInfo?.features;
+    const methods = Array.isArray(features) ? features : features?.methods;
+    if (!Array.isArray(methods) || methods.length === 0) return null;
+    return methods.includes(method);
+  }
+
+  // With attachments the message also goes out as content parts; those are sent right away,
+  // never parked in the offline queue
+  async sendMessage(sessionKey, message, { attachments = [], onUploadProgress = null } = {}) {
+    if (attachments.length === 0) {
+      return this.sendWrite('sessions.send', { sessionKey, message });
+    }
+    const content = [...(message ? [{ type: 'text', text: message }] : []), ...attachments];
+    return this.send('sessions.send', {
+      sessionKey,
+      message,
+      content,
+      idempotencyKey: this.newIdempotencyKey()
+    }, { onUploadProgress });
+  }
+
+  // Gateway-side full-text search over transcripts; not every gateway has it
+  async searchSessions(query, { limit = 100 } = {}, requestOptions) {
+    return this.send('sessions.search', { query, limit }, requestOptions);
+  }
+
+  // Clear the session's context; the next message starts a fresh conversation
+  async resetSession(sessionKey) {
+    return this.sendWrite('sessions.reset', { sessionKey });
+  }
+
+  // Summarize older turns to free up context
+  async compactSession(sessionKey) {
+    return this.sendWrite('sessions.compact', { sessionKey });
+  }
+
+  // archive: keep the transcript on the gateway instead of deleting it
+  async deleteSession(sessionKey, { archive = false } = {}) {
+    return this.sendWrite('sessions.delete', { sessionKey, deleteTranscript: !archive });
+  }
+
+  async patchSession(sessionKey, patch) {
+    return this.sendWrite('sessions.patch', { sessionKey, ...patch });
   }
 
-  async sendMessage(sessionKey, message) {
-    return this.send('sessions.send', { sessionKey, message });
+  // Pages go back in time from `cursor` (opaque, from the previous page) or `before` (epoch ms)
+  async getSessionHistory(sessionKey, { limit = 50, cursor = null, before = null, includeTools = false } = {}, requestOptions) {
+    const params = { sessionKey, limit, includeTools };
+    if (cursor != null) params.cursor = cursor;
+    else if (before != null) params.before = before;
+    return this.send('sessions.history', params, requestOptions);
   }
 
-  async getSessionHistory(sessionKey, limit = 50) {
-    return this.send('sessions.history', { sessionKey, limit, includeTools: false });
+  async getPresence(requestOptions) {
+    return this.send('system-presence', {}, requestOptions);
   }
 
-  async getPresence() {
-    return this.send('system-presence');
+  async getModels(requestOptions) {
+    return this.send('models.list', {}, requestOptions);
   }
 
-  async getModels() {
-    return this.send('models.list');
+  async getNodes(requestOptions) {
+    return this.send('nodes.status', {}, requestOptions);
   }
 
-  async getNodes() {
-    return this.send('nodes.status');
+  async getGatewayConfig(requestOptions) {
+    return this.send('gateway.config', {}, requestOptions);
   }
 
-  async getGatewayConfig() {
-    return this.send('gateway.config');
+  async revokeDevice(deviceId) {
+    return this.send('device.token.revoke', { deviceId });
   }
 
   // Check connection state
@@ -0,0 +1,222 @@
+// Alert rules for cron jobs: repeated failures, overdue runs, runs taking too long, unexpected disables
+// Alerts persist across reloads; acknowledging silences one until its condition clears, snoozing for a while
+
+class JobAlerts {
+  static STORAGE_KEY = 'ether-portal-alerts';
+  static MAX_ALERTS = 100;
+  static EXPECTED_CHANGE_MS = 2 * 60000; // Disables made from this portal within this window are intended
+  static MIN_LONG_RUN_MS = 60000; // Never flag runs shorter than this as too long
+  static DEFAULT_RULES = {
+    failures: { enabled: true, count: 3 },
+    overdue: { enabled: true, minutes: 15 },
+    longRunning: { enabled: true, factor: 3 },
+    disabled: { enabled: true }
+  };
+
+  constructor() {
+    this.rules = JobAlerts.normalizeRules();
+    this.alerts = []; // Newest first
+    this.wasEnabled = new Map(); // scope -> Map(jobId -> enabled) as of the previous check
+    this.unexpectedlyDisabled = new Set(); // `${scope}:${jobId}`
+    this.expectedChanges = new Map(); // jobId -> when the portal last changed it
+    this.listeners = new Set();
+  }
+
+  static normalizeRules(rules = {}) {
+    const defaults = JobAlerts.DEFAULT_RULES;
+    return Object.fromEntries(Object.keys(defaults).map(id => [id, { ...defaults[id], ...(rules?.[id] || {}) }]));
+  }
+
+  static formatDuration(ms) {
+    if (ms < 60000) return `${Math.max(1, Math.round(ms / 1000))}s`;
+    if (ms < 3600000) return `${Math.round(ms / 60000)} min`;
+    return `${(ms / 3600000).toFixed(1)}h`;
+  }
+
+  setRules(rules) {
+    this.rules = JobAlerts.normalizeRules(rules);
+    this.notify();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(JobAlerts.STORAGE_KEY) || '[]');
+      this.alerts = Array.isArray(saved) ? saved : [];
+    } catch (e) {
+      console.warn('[Alerts] Failed to load alerts:', e);
+      this.alerts = [];
+    }
+    this.notify();
+  }
+
+  // Call before the portal itself disables or edits a job so it isn't reported as unexpected
+  expectChange(jobId) {
+    this.expectedChanges.set(jobId, Date.now());
+  }
+
+  // Evaluate every rule against the current jobs; returns alerts that should notify now
+  // (new ones, and ones whose snooze just ran out)
+  check(jobs, { scope = null, runsFor = () => [], now = Date.now() } = {}) {
+    const conditions = this.evaluate(jobs, scope, runsFor, now);
+    const fired = [];
+
+    conditions.forEach(condition => {
+      const key = `${scope}:${condition.rule}:${condition.jobId}`;
+      let alert = this.alerts.find(a => a.key === key && !a.resolvedAt);
+      if (!alert) {
+        alert = {
+          id: `${key}:${now}`,
+          key,
+          scope,
+          rule: condition.rule,
+          jobId: condition.jobId,
+          jobName: condition.jobName,
+          message: condition.message,
+          firstAt: now,
+          lastAt: now,
+          acknowledged: false,
+          snoozedUntil: null,
+          resolvedAt: null
+        };
+        this.alerts.unshift(alert);
+        fired.push(alert);
+        return;
+      }
+
+      alert.jobName = condition.jobName;
+      alert.message = condition.message;
+      alert.lastAt = now;
+      if (alert.snoozedUntil && alert.snoozedUntil <= now) {
+        alert.snoozedUntil = null;
+        if (!alert.acknowledged) fired.push(alert);
+      }
+    });
+
+    const activeKeys = new Set(conditions.map(c => `${scope}:${c.rule}:${c.jobId}`));
+    this.alerts.forEach(alert => {
+      if (alert.scope === scope && !alert.resolvedAt && !activeKeys.has(alert.key)) alert.resolvedAt = now;
+    });
+
+    this.store();
+    return fired;
+  }
+
+  // Conditions that hold right now: [{ rule, jobId, jobName, message }]
+  evaluate(jobs, scope, runsFor, now) {
+    const { failures, overdue, longRunning, disabled } = this.rules;
+    const previous = this.wasEnabled.get(scope);
+    const conditions = [];
+
+    jobs.forEach(job => {
+      const state = job.state || {};
+      const runs = runsFor(job.id);
+      const jobName = job.name || job.id;
+      const add = (rule, message) => conditions.push({ rule, jobId: job.id, jobName, message });
+
+      const running = runs.find(r => r.status === 'running');
+      const runningSince = state.runningAtMs ?? running?.startedAt ?? null;
+
+      if (failures.enabled) {
+        const finished = runs.filter(r => r.status === 'ok' || r.status === 'error');
+        let streak = finished.findIndex(r => r.status !== 'error');
+        if (streak === -1) streak = finished.length;
+        streak = Math.max(streak, state.consecutiveErrors ?? 0, state.lastStatus === 'error' ? 1 : 0);
+        if (streak >= failures.count) {
+          const error = finished[0]?.error || state.lastError;
+          add('failures', `Failed ${streak} times in a row${error ? `: ${error}` : ''}`);
+        }
+      }
+
+      if (overdue.enabled && job.enabled && runningSince == null && state.nextRunAtMs) {
+        const late = now - state.nextRunAtMs;
+        if (late > overdue.minutes * 60000) add('overdue', `Overdue by ${JobAlerts.formatDuration(late)}`);
+      }
+
+      if (longRunning.enabled && runningSince != null) {
+        const durations = runs.filter(r => r.status === 'ok' && r.durationMs != null).map(r => r.durationMs);
+        const usual = durations.length
+          ? durations.reduce((a, b) => a + b, 0) / durations.length
+          : state.lastDurationMs;
+        const elapsed = now - runningSince;
+        if (usual && elapsed > JobAlerts.MIN_LONG_RUN_MS && elapsed > usual * longRunning.factor) {
+          add('longRunning', `Running for ${JobAlerts.formatDuration(elapsed)}, usually ${JobAlerts.formatDuration(usual)}`);
+        }
+      }
+
+      // A job that was enabled at the last check and is now disabled, without the portal having done it.
+      // One-time jobs disable themselves after running.
+      const flag = `${scope}:${job.id}`;
+      if (job.enabled) {
+        this.unexpectedlyDisabled.delete(flag);
+      } else if (previous?.get(job.id) === true && job.schedule?.kind !== 'at'
+        && !(now - (this.expectedChanges.get(job.id) ?? -Infinity) < JobAlerts.EXPECTED_CHANGE_MS)) {
+        this.unexpectedlyDisabled.add(flag);
+      }
+      if (disabled.enabled && this.unexpectedlyDisabled.has(flag)) {
+        add('disabled', state.lastError ? `Disabled unexpectedly (last error: ${state.lastError})` : 'Disabled unexpectedly');
+      }
+    });
+
+    this.wasEnabled.set(scope, new Map(jobs.map(job => [job.id, !!job.enabled])));
+    return conditions;
+  }
+
+  // Unresolved alerts that are neither acknowledged nor snoozed
+  pending(scope, now = Date.now()) {
+    return this.alerts.filter(a => a.scope === scope && !a.resolvedAt && !a.acknowledged
+      && !(a.snoozedUntil && a.snoozedUntil > now));
+  }
+
+  list(scope) {
+    return this.alerts.filter(a => a.scope === scope);
+  }
+
+  acknowledge(id) {
+    const alert = this.alerts.find(a => a.id === id);
+    if (!alert) return;
+    alert.acknowledged = true;
+    this.store();
+  }
+
+  snooze(id, minutes) {
+    const alert = this.alerts.find(a => a.id === id);
+    if (!alert) return;
+    alert.snoozedUntil = Date.now() + minutes * 60000;
+    this.store();
+  }
+
+  clearResolved(scope) {
+    this.alerts = this.alerts.filter(a => a.scope !== scope || !a.resolvedAt);
+    this.store();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (e) {
+        console.error('[Alerts] Listener error:', e);
+      }
+    });
+  }
+
+  // Internals
+  store() {
+    // Drop the oldest resolved alerts first
+    while (this.alerts.length > JobAlerts.MAX_ALERTS) {
+      const index = this.alerts.map(a => !!a.resolvedAt).lastIndexOf(true);
+      this.alerts.splice(index === -1 ? this.alerts.length - 1 : index, 1);
+    }
+    try {
+      localStorage.setItem(JobAlerts.STORAGE_KEY, JSON.stringify(this.alerts));
+    } catch (e) {
+      console.warn('[Alerts] Failed to save alerts:', e);
+    }
+    this.notify();
+  }
+}
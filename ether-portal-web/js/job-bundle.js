@@ -0,0 +1,290 @@
+// Job definition bundles for export/import (JSON or YAML) and the diff shown before importing
+// A definition is a job minus gateway-owned fields, so bundles move cleanly between gateways
+
+class JobBundle {
+  static VERSION = 1;
+  static GATEWAY_FIELDS = ['id', 'jobId', 'state', 'createdAtMs', 'updatedAtMs'];
+
+  static definition(job) {
+    const definition = {};
+    Object.keys(job).sort().forEach(key => {
+      if (!JobBundle.GATEWAY_FIELDS.includes(key) && job[key] !== undefined) definition[key] = job[key];
+    });
+    return definition;
+  }
+
+  static create(jobs, meta = {}) {
+    return {
+      version: JobBundle.VERSION,
+      exportedAt: new Date().toISOString(),
+      ...meta,
+      // Ids let a bundle re-import onto the gateway it came from; elsewhere jobs match by name
+      jobs: jobs.map(job => ({ id: job.id, ...JobBundle.definition(job) }))
+    };
+  }
+
+  static serialize(bundle, format) {
+    return format === 'yaml'
+      ? `# OpenClaw cron jobs\n${JobBundle.toYaml(bundle)}\n`
+      : JSON.stringify(bundle, null, 2);
+  }
+
+  // Accepts a bundle or a bare array of jobs, in JSON or YAML
+  static parse(text) {
+    const trimmed = text.trim();
+    const data = trimmed.startsWith('{') || trimmed.startsWith('[')
+      ? JSON.parse(trimmed)
+      : JobBundle.parseYaml(text);
+    const jobs = Array.isArray(data) ? data : data?.jobs;
+    if (!Array.isArray(jobs)) throw new Error('No "jobs" list found in the file');
+    return { ...(Array.isArray(data) ? {} : data), jobs };
+  }
+
+  static validate(job) {
+    if (!job || typeof job !== 'object') return 'Not a job definition';
+    if (!job.name) return 'Missing name';
+    const kind = job.schedule?.kind;
+    if (!['every', 'cron', 'at'].includes(kind)) return 'Missing or unknown schedule kind';
+    if (kind === 'every' && !(job.schedule.everyMs > 0)) return 'Schedule needs a positive everyMs';
+    if (kind === 'cron') {
+      try {
+        new CronExpression(job.schedule.expr, job.schedule.tz);
+      } catch (e) {
+        return `Invalid cron expression: ${e.message}`;
+      }
+    }
+    if (kind === 'at' && isNaN(new Date(job.schedule.at))) return 'Schedule needs a valid "at" time';
+    return null;
+  }
+
+  // [{ status: 'new' | 'changed' | 'unchanged' | 'invalid' | 'missing', incoming, current, changes, error }]
+  static diff(incomingJobs, currentJobs) {
+    const unmatched = [...currentJobs];
+    const take = (predicate) => {
+      const index = unmatched.findIndex(predicate);
+      return index === -1 ? null : unmatched.splice(index, 1)[0];
+    };
+
+    const entries = incomingJobs.map(incoming => {
+      const error = JobBundle.validate(incoming);
+      const current = (incoming?.id && take(job => job.id === incoming.id))
+        || (incoming?.name && take(job => job.name === incoming.name))
+        || null;
+      if (error) return { status: 'invalid', incoming, current, changes: [], error };
+      if (!current) return { status: 'new', incoming, current: null, changes: [] };
+
+      const changes = JobBundle.changedPaths(JobBundle.definition(current), JobBundle.definition(incoming));
+      return { status: changes.length ? 'changed' : 'unchanged', incoming, current, changes };
+    });
+
+    unmatched.forEach(current => entries.push({ status: 'missing', incoming: null, current, changes: [] }));
+    return entries;
+  }
+
+  // Dotted paths that differ, e.g. ['schedule.expr', 'enabled']; null and missing are the same
+  static changedPaths(a, b, prefix = '') {
+    const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+    if (a == null && b == null) return [];
+    if (!isObject(a) || !isObject(b)) {
+      return JSON.stringify(a) === JSON.stringify(b) ? [] : [prefix || '(value)'];
+    }
+    const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+    return keys.flatMap(key => JobBundle.changedPaths(a[key], b[key], prefix ? `${prefix}.${key}` : key));
+  }
+
+  // cron.update patch that turns `current` into `incoming`. Updates merge, so fields the bundle
+  // no longer has are sent as null to unset them
+  static patch(current, incoming) {
+    const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+    const withRemovals = (from, to) => {
+      if (!isObject(from) || !isObject(to)) return to;
+      const value = {};
+      Object.keys(from).forEach(key => { if (!(key in to)) value[key] = null; });
+      Object.keys(to).forEach(key => { value[key] = withRemovals(from[key], to[key]); });
+      return value;
+    };
+    const patch = {};
+    Object.keys({ ...current, ...incoming }).forEach(key => {
+      if (JobBundle.changedPaths(current[key], incoming[key]).length) patch[key] = withRemovals(current[key], incoming[key] ?? null);
+    });
+    return patch;
+  }
+
+  // YAML - just enough for job bundles: block maps and lists, scalars, | block strings
+  static toYaml(value, indent = 0) {
+    const pad = ' '.repeat(indent);
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '[]';
+      return value.map(item => {
+        const rendered = JobBundle.toYaml(item, indent + 2);
+        return JobBundle.isBlock(item) ? `${pad}- ${rendered.trimStart()}` : `${pad}- ${rendered}`;
+      }).join('\n');
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(key => value[key] !== undefined);
+      if (keys.length === 0) return '{}';
+      return keys.map(key => {
+        const item = value[key];
+        const name = JobBundle.yamlKey(key);
+        if (JobBundle.isBlock(item)) return `${pad}${name}:\n${JobBundle.toYaml(item, indent + 2)}`;
+        if (typeof item === 'string' && item.includes('\n') && JobBundle.fitsBlockScalar(item)) {
+          const body = item.replace(/\n$/, '').split('\n').map(line => line ? `${pad}  ${line}` : '').join('\n');
+          return `${pad}${name}: ${item.endsWith('\n') ? '|' : '|-'}\n${body}`;
+        }
+        return `${pad}${name}: ${JobBundle.toYaml(item, indent + 2)}`;
+      }).join('\n');
+    }
+    return JobBundle.yamlScalar(value);
+  }
+
+  // Leading whitespace would be read back as indentation and blank lines at the end get dropped,
+  // so text like that is written as a quoted string instead
+  static fitsBlockScalar(text) {
+    const lines = text.replace(/\n$/, '').split('\n');
+    return !text.includes('\r') && lines[lines.length - 1] !== '' && lines.every(line => line === '' || /^\S/.test(line));
+  }
+
+  static isBlock(value) {
+    return value && typeof value === 'object' && (Array.isArray(value) ? value.length > 0 : Object.keys(value).length > 0);
+  }
+
+  static yamlKey(key) {
+    return /^[A-Za-z_][\w.-]*$/.test(key) ? key : JSON.stringify(key);
+  }
+
+  static yamlScalar(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value !== 'string') return String(value);
+    const plain = /^[A-Za-z_/][\w .\/@()+,-]*$/.test(value)
+      && !/^(true|false|null|yes|no|on|off|~)$/i.test(value)
+      && !value.endsWith(' ');
+    return plain ? value : JSON.stringify(value);
+  }
+
+  static parseYaml(text) {
+    const lines = text.split(/\r?\n/).map((raw, i) => ({
+      raw,
+      number: i + 1,
+      indent: raw.length - raw.trimStart().length,
+      content: raw.trim()
+    }));
+    const state = { lines, index: 0 };
+    JobBundle.skipBlank(state);
+    if (state.index >= lines.length) return null;
+    const value = JobBundle.parseYamlBlock(state, lines[state.index].indent);
+    JobBundle.skipBlank(state);
+    if (state.index < lines.length) {
+      throw new Error(`YAML line ${lines[state.index].number}: unexpected indentation`);
+    }
+    return value;
+  }
+
+  static skipBlank(state) {
+    while (state.index < state.lines.length) {
+      const { content } = state.lines[state.index];
+      if (content && !content.startsWith('#')) break;
+      state.index++;
+    }
+  }
+
+  static parseYamlBlock(state, indent) {
+    const first = state.lines[state.index];
+    return first.content === '-' || first.content.startsWith('- ')
+      ? JobBundle.parseYamlList(state, indent)
+      : JobBundle.parseYamlMap(state, indent);
+  }
+
+  static parseYamlList(state, indent) {
+    const list = [];
+    while (true) {
+      JobBundle.skipBlank(state);
+      const line = state.lines[state.index];
+      if (!line || line.indent !== indent || !(line.content === '-' || line.content.startsWith('- '))) break;
+
+      const rest = line.content.slice(1).trim();
+      if (!rest) {
+        state.index++;
+        JobBundle.skipBlank(state);
+        const child = state.lines[state.index];
+        list.push(child && child.indent > indent ? JobBundle.parseYamlBlock(state, child.indent) : null);
+      } else if (/^(-(\s|$)|[^'"\[{].*?:(\s|$)|"[^"]*":(\s|$))/.test(rest)) {
+        // "- key: value" starts a map (or nested list) indented past the dash
+        const childIndent = indent + (line.content.length - rest.length);
+        state.lines[state.index] = { ...line, indent: childIndent, content: rest };
+        list.push(JobBundle.parseYamlBlock(state, childIndent));
+      } else {
+        state.index++;
+        list.push(JobBundle.parseYamlScalar(rest, line.number));
+      }
+    }
+    return list;
+  }
+
+  static parseYamlMap(state, indent) {
+    const map = {};
+    while (true) {
+      JobBundle.skipBlank(state);
+      const line = state.lines[state.index];
+      if (!line || line.indent !== indent || line.content.startsWith('- ')) break;
+
+      const match = line.content.match(/^("(?:[^"\\]|\\.)*"|'[^']*'|[^'"][^:]*?):(?:\s+(.*))?$/);
+      if (!match) throw new Error(`YAML line ${line.number}: expected "key: value"`);
+      const key = match[1].startsWith('"') ? JSON.parse(match[1]) : match[1].replace(/^'|'$/g, '');
+      const rest = JobBundle.stripComment(match[2] || '');
+      state.index++;
+
+      if (/^[|>][+-]?$/.test(rest)) {
+        map[key] = JobBundle.parseYamlBlockScalar(state, indent, rest);
+      } else if (rest) {
+        map[key] = JobBundle.parseYamlScalar(rest, line.number);
+      } else {
+        JobBundle.skipBlank(state);
+        const child = state.lines[state.index];
+        // Lists may sit at the same indentation as their key
+        const nested = child && (child.indent > indent || (child.indent === indent && child.content.startsWith('- ')));
+        map[key] = nested ? JobBundle.parseYamlBlock(state, child.indent) : null;
+      }
+    }
+    return map;
+  }
+
+  static parseYamlBlockScalar(state, indent, indicator) {
+    const body = [];
+    let blockIndent = null;
+    while (state.index < state.lines.length) {
+      const line = state.lines[state.index];
+      if (line.content && line.indent <= indent) break;
+      if (line.content && blockIndent === null) blockIndent = line.indent;
+      body.push(line.content ? line.raw.slice(blockIndent) : '');
+      state.index++;
+    }
+    while (body.length && body[body.length - 1] === '') body.pop();
+
+    const text = indicator.startsWith('>')
+      ? body.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ')
+      : body.join('\n');
+    return indicator.endsWith('-') ? text : `${text}\n`;
+  }
+
+  static parseYamlScalar(text, lineNumber) {
+    const value = JobBundle.stripComment(text);
+    try {
+      if (value.startsWith('"') || value.startsWith('[') || value.startsWith('{')) return JSON.parse(value);
+    } catch (e) {
+      throw new Error(`YAML line ${lineNumber}: ${e.message}`);
+    }
+    if (value.startsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+    if (/^(null|~)$/.test(value)) return null;
+    if (/^(true|yes)$/i.test(value)) return true;
+    if (/^(false|no)$/i.test(value)) return false;
+    if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value)) return Number(value);
+    return value;
+  }
+
+  // Drop a trailing " # comment" outside of quotes
+  static stripComment(text) {
+    if (text.startsWith('"') || text.startsWith("'")) return text.trim();
+    const index = text.search(/\s#/);
+    return (index === -1 ? text : text.slice(0, index)).trim();
+  }
+}
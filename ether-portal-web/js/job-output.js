@@ -0,0 +1,196 @@
+// Live output of cron job runs: assistant text, tool calls and status, collected from the
+// gateway events of each running job's session so a run can be watched while it happens
+
+class JobLiveOutput {
+  static MAX_ENTRIES = 500; // Per run
+  static MAX_TEXT = 20000; // Characters kept per text entry
+
+  constructor() {
+    this.outputs = new Map(); // jobId -> latest run's output
+    this.listeners = new Set();
+  }
+
+  static extractText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.filter(part => !part.type || part.type === 'text').map(part => part.text || '').join('');
+  }
+
+  static isDelta(event) {
+    return event === 'session.message.delta' || event === 'session.message.chunk';
+  }
+
+  get(jobId) {
+    return this.outputs.get(jobId) || null;
+  }
+
+  // sessionHint matches the run's session until an event names it: `cron:<jobId>` for isolated
+  // jobs, the target session for main-session jobs
+  start(job, { runId = null, sessionKey = null, startedAt = Date.now(), note = null } = {}) {
+    const output = {
+      jobId: job.id,
+      jobName: job.name || job.id,
+      runId,
+      sessionKey,
+      isolated: job.sessionTarget === 'isolated',
+      sessionHint: job.sessionTarget === 'isolated' ? `cron:${job.id}` : (job.sessionKey || 'main'),
+      status: 'running',
+      startedAt,
+      finishedAt: null,
+      entries: []
+    };
+    this.outputs.set(job.id, output);
+    if (note) this.addStatus(output, note, 'info');
+    this.notify(job.id);
+    return output;
+  }
+
+  finish(jobId, { status = 'ok', error = null, summary = null } = {}) {
+    const output = this.get(jobId);
+    if (!output || output.status !== 'running') return;
+    output.status = status;
+    output.finishedAt = Date.now();
+    output.entries.forEach(entry => {
+      if (entry.kind === 'text') entry.streaming = false;
+      if (entry.kind === 'tool' && entry.status === 'running') entry.status = 'unknown';
+    });
+    if (error) this.addStatus(output, `Run failed: ${error}`, 'error');
+    else this.addStatus(output, summary ? `Run finished: ${summary}` : 'Run finished', status === 'ok' ? 'success' : 'warning');
+    this.notify(jobId);
+  }
+
+  addStatus(output, text, tone = 'info') {
+    this.push(output, { kind: 'status', text, tone, time: Date.now() });
+  }
+
+  // Route one raw gateway event to the running job it belongs to, if any
+  handleEvent(event, payload) {
+    if (!payload || typeof payload !== 'object' || payload.replayed) return;
+    const output = this.match(payload);
+    if (!output) return;
+    if (payload.sessionKey && !output.sessionKey) output.sessionKey = payload.sessionKey;
+    if (payload.runId && !output.runId) output.runId = payload.runId;
+
+    if (JobLiveOutput.isDelta(event)) {
+      if (payload.role && payload.role !== 'assistant') return;
+      this.appendText(output, payload);
+    } else if (event === 'session.message') {
+      this.addMessage(output, payload);
+    } else if (/tool/i.test(event)) {
+      this.updateTool(output, payload);
+    } else if (/status|lifecycle/i.test(event) && (payload.status || payload.phase || payload.state)) {
+      this.addStatus(output, `Status: ${payload.status || payload.phase || payload.state}`);
+    } else {
+      return;
+    }
+    this.notify(output.jobId);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(jobId) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(jobId);
+      } catch (e) {
+        console.error('[JobOutput] Listener error:', e);
+      }
+    });
+  }
+
+  clear() {
+    this.outputs.clear();
+    this.notify(null);
+  }
+
+  // Internals
+  match(payload) {
+    for (const output of this.outputs.values()) {
+      if (output.status !== 'running') continue;
+      if (payload.jobId && payload.jobId === output.jobId) return output;
+      if (payload.runId && output.runId && payload.runId === output.runId) return output;
+      const key = payload.sessionKey;
+      if (!key) continue;
+      if (output.sessionKey) {
+        if (key === output.sessionKey) return output;
+      } else if (output.isolated ? `${key}:`.includes(`${output.sessionHint}:`) : key === output.sessionHint || key.endsWith(`:${output.sessionHint}`)) {
+        return output;
+      }
+    }
+    return null;
+  }
+
+  appendText(output, payload) {
+    const id = payload.messageId || payload.id || 'current';
+    let entry = output.entries.find(e => e.kind === 'text' && e.streaming && e.id === id);
+    if (!entry) {
+      entry = { kind: 'text', id, text: '', streaming: true, time: Date.now() };
+      this.push(output, entry);
+    }
+    // `delta` is appended; a bare `text`/`content` is a snapshot of the reply so far
+    entry.text = typeof payload.delta === 'string'
+      ? entry.text + payload.delta
+      : JobLiveOutput.extractText(payload.text ?? payload.content);
+    if (entry.text.length > JobLiveOutput.MAX_TEXT) entry.text = `…${entry.text.slice(-JobLiveOutput.MAX_TEXT)}`;
+    if (payload.done || payload.final) entry.streaming = false;
+  }
+
+  addMessage(output, payload) {
+    const content = payload.content ?? payload.text;
+    if (payload.role === 'tool' || payload.role === 'toolResult') {
+      this.updateTool(output, { ...payload, result: JobLiveOutput.extractText(content) || content });
+      return;
+    }
+
+    // Tool calls and results may also arrive as content parts
+    if (Array.isArray(content)) {
+      content.forEach(part => {
+        if (part.type === 'tool_use' || part.type === 'toolCall') {
+          this.updateTool(output, { toolCallId: part.id, name: part.name, args: part.input ?? part.arguments });
+        } else if (part.type === 'tool_result' || part.type === 'toolResult') {
+          this.updateTool(output, { toolCallId: part.tool_use_id ?? part.toolCallId, result: part.content, isError: part.is_error });
+        }
+      });
+    }
+    if (payload.role && payload.role !== 'assistant') return;
+
+    const text = JobLiveOutput.extractText(content);
+    // The final message replaces the chunks that streamed in before it
+    const streaming = [...output.entries].reverse().find(e => e.kind === 'text' && e.streaming);
+    if (streaming) {
+      if (text.trim()) streaming.text = text;
+      streaming.streaming = false;
+    } else if (text.trim()) {
+      this.push(output, { kind: 'text', id: payload.messageId || payload.id || null, text, streaming: false, time: Date.now() });
+    }
+  }
+
+  // Tool events: a start carries name and args, a result carries output or an error
+  updateTool(output, payload) {
+    const id = payload.toolCallId || payload.callId || payload.id || null;
+    let entry = id ? output.entries.find(e => e.kind === 'tool' && e.id === id) : null;
+    if (!entry) {
+      entry = { kind: 'tool', id, name: null, args: null, result: null, status: 'running', time: Date.now() };
+      this.push(output, entry);
+    }
+
+    entry.name = payload.name || payload.tool || payload.toolName || entry.name || 'tool';
+    const args = payload.args ?? payload.input ?? payload.arguments;
+    if (args !== undefined) entry.args = args;
+
+    const result = payload.result ?? payload.output;
+    const failed = payload.isError || payload.is_error || payload.error || payload.status === 'error';
+    if (result !== undefined || failed || payload.phase === 'result' || payload.phase === 'end') {
+      entry.result = result ?? payload.error?.message ?? payload.error ?? null;
+      entry.status = failed ? 'error' : 'ok';
+    }
+  }
+
+  push(output, entry) {
+    output.entries.push(entry);
+    if (output.entries.length > JobLiveOutput.MAX_ENTRIES) output.entries.shift();
+  }
+}
@@ -0,0 +1,137 @@
+// Per-job run history: runs loaded from the gateway merged with live cron.job.* events
+
+class JobRunHistory {
+  static MAX_RUNS = 100; // Per job
+  static MATCH_WINDOW_MS = 5000; // A live run and a gateway run starting this close are the same run
+  static STATUSES = { ok: 'ok', success: 'ok', completed: 'ok', error: 'error', failed: 'error', running: 'running', skipped: 'skipped' };
+
+  constructor() {
+    this.runs = new Map(); // jobId -> runs, newest first
+    this.loaded = new Set(); // Jobs whose history came from the gateway
+    this.listeners = new Set();
+  }
+
+  // Gateway run logs and events use slightly different field names
+  static normalize(raw, jobId = null) {
+    const startedAt = raw.startedAtMs ?? raw.runAtMs ?? raw.startedAt ?? raw.ts ?? null;
+    const durationMs = raw.durationMs ?? (raw.finishedAtMs && startedAt ? raw.finishedAtMs - startedAt : null);
+    const finishedAt = raw.finishedAtMs ?? (startedAt != null && durationMs != null ? startedAt + durationMs : null);
+    // Statuses we don't know are worked out from the other fields, like a missing one
+    const status = JobRunHistory.STATUSES[raw.status] || (raw.error ? 'error' : finishedAt ? 'ok' : 'running');
+    const error = raw.error?.message || raw.error || null;
+
+    return {
+      id: raw.runId || raw.id || `${raw.jobId || jobId}:${startedAt}`,
+      jobId: raw.jobId || jobId,
+      startedAt,
+      finishedAt,
+      durationMs,
+      status, // 'running' | 'ok' | 'error' | 'skipped'
+      error: error == null || typeof error === 'string' ? error : JSON.stringify(error),
+      summary: raw.summary || null,
+      sessionKey: raw.sessionKey || null
+    };
+  }
+
+  list(jobId) {
+    return this.runs.get(jobId) || [];
+  }
+
+  isLoaded(jobId) {
+    return this.loaded.has(jobId);
+  }
+
+  // Replace a job's history with the gateway's, keeping live runs it doesn't know about yet
+  setHistory(jobId, rawRuns) {
+    const history = rawRuns.map(raw => JobRunHistory.normalize(raw, jobId));
+    const live = this.list(jobId).filter(run => !history.some(h => this.isSameRun(h, run)));
+    this.store(jobId, [...live, ...history]);
+    this.loaded.add(jobId);
+    this.notify(jobId);
+  }
+
+  recordStarted(event) {
+    if (!event?.jobId) return;
+    const run = JobRunHistory.normalize({ startedAtMs: Date.now(), ...event, status: 'running' });
+    const runs = this.list(event.jobId).filter(r => !this.isSameRun(r, run));
+    this.store(event.jobId, [run, ...runs]);
+    this.notify(event.jobId);
+  }
+
+  recordCompleted(event) {
+    if (!event?.jobId) return;
+    const runs = this.list(event.jobId);
+    const finished = JobRunHistory.normalize({ finishedAtMs: Date.now(), ...event });
+    if (finished.status === 'running') finished.status = 'ok';
+
+    // Match by run id, else the most recent run still marked as running
+    let index = runs.findIndex(r => r.id === finished.id);
+    if (index === -1) index = runs.findIndex(r => r.status === 'running');
+
+    if (index === -1) {
+      this.store(event.jobId, [finished, ...runs]);
+    } else {
+      const started = runs[index];
+      const startedAt = started.startedAt ?? finished.startedAt;
+      runs[index] = {
+        ...started,
+        ...Object.fromEntries(Object.entries(finished).filter(([, v]) => v != null)),
+        id: started.id,
+        startedAt,
+        durationMs: finished.durationMs ?? (startedAt != null ? finished.finishedAt - startedAt : null)
+      };
+      this.store(event.jobId, runs);
+    }
+    this.notify(event.jobId);
+  }
+
+  // { total, finished, failures, failureRate, avgDurationMs, lastRun }
+  getSummary(jobId) {
+    const runs = this.list(jobId);
+    const finished = runs.filter(r => r.status === 'ok' || r.status === 'error');
+    const failures = finished.filter(r => r.status === 'error').length;
+    const durations = finished.map(r => r.durationMs).filter(d => d != null);
+
+    return {
+      total: runs.length,
+      finished: finished.length,
+      failures,
+      failureRate: finished.length ? failures / finished.length : null,
+      avgDurationMs: durations.length ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : null,
+      lastRun: runs[0] || null
+    };
+  }
+
+  clear() {
+    this.runs.clear();
+    this.loaded.clear();
+    this.notify(null);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(jobId) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(jobId);
+      } catch (e) {
+        console.error('[JobRuns] Listener error:', e);
+      }
+    });
+  }
+
+  // Internals
+  isSameRun(a, b) {
+    if (a.id === b.id) return true;
+    return a.startedAt != null && b.startedAt != null
+      && Math.abs(a.startedAt - b.startedAt) < JobRunHistory.MATCH_WINDOW_MS;
+  }
+
+  store(jobId, runs) {
+    runs.sort((a, b) => (b.startedAt ?? b.finishedAt ?? 0) - (a.startedAt ?? a.finishedAt ?? 0));
+    this.runs.set(jobId, runs.slice(0, JobRunHistory.MAX_RUNS));
+  }
+}
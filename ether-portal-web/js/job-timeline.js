@@ -0,0 +1,113 @@
+// Upcoming runs of every enabled job over a time window, for the Jobs > Timeline view
+// Runs of different jobs that share a session or model and would be running at once are flagged
+
+class JobTimeline {
+  static MAX_RUNS_PER_JOB = 400;
+  static DEFAULT_RUN_MS = 5 * 60000; // Assumed run length for jobs without history
+
+  // Epoch ms of each run in [from, until)
+  static upcomingRuns(job, from, until, gatewayTz = null) {
+    const schedule = job.schedule || {};
+    const max = JobTimeline.MAX_RUNS_PER_JOB;
+
+    if (schedule.kind === 'at') {
+      const at = typeof schedule.at === 'number' ? schedule.at : Date.parse(schedule.at);
+      return at >= from && at < until ? [at] : [];
+    }
+
+    if (schedule.kind === 'cron') {
+      try {
+        return new CronExpression(schedule.expr, schedule.tz || gatewayTz).nextRuns(max, from, until);
+      } catch (e) {
+        return [];
+      }
+    }
+
+    if (schedule.kind === 'every' && schedule.everyMs > 0) {
+      const every = schedule.everyMs;
+      let next = job.state?.nextRunAtMs;
+      if (!next) {
+        const anchor = schedule.anchorMs ?? job.state?.lastRunAtMs;
+        next = anchor != null ? anchor + Math.max(1, Math.ceil((from - anchor) / every)) * every : from + every;
+      }
+      // A next run already in the past is overdue and will fire right away
+      if (next < from) next = from;
+
+      const runs = [];
+      for (let t = next; t < until && runs.length < max; t += every) runs.push(t);
+      return runs;
+    }
+
+    return [];
+  }
+
+  // What a run holds while it executes: main-session jobs share the main session,
+  // isolated jobs compete for their model
+  static resources(job) {
+    if (job.sessionTarget === 'isolated') return [`model:${job.payload?.model || 'default'}`];
+    return [`session:${job.sessionKey || 'main'}`];
+  }
+
+  // { rows: [{ job, runs: [{ time, end, conflicts: [jobId] }] }], overlapCount }
+  static build(jobs, { from, until, gatewayTz = null, durationFor = () => null }) {
+    const rows = jobs
+      .filter(job => job.enabled)
+      .map(job => {
+        const duration = durationFor(job.id) || JobTimeline.DEFAULT_RUN_MS;
+        const runs = JobTimeline.upcomingRuns(job, from, until, gatewayTz)
+          .map(time => ({ time, end: time + duration, conflicts: new Set() }));
+        return { job, runs };
+      })
+      .filter(row => row.runs.length > 0)
+      .sort((a, b) => a.runs[0].time - b.runs[0].time);
+
+    // Sweep each resource's runs in start order, comparing against runs still in progress
+    const byResource = new Map();
+    rows.forEach(row => {
+      JobTimeline.resources(row.job).forEach(resource => {
+        if (!byResource.has(resource)) byResource.set(resource, []);
+        row.runs.forEach(run => byResource.get(resource).push({ run, jobId: row.job.id }));
+      });
+    });
+
+    byResource.forEach(entries => {
+      entries.sort((a, b) => a.run.time - b.run.time);
+      let active = [];
+      entries.forEach(entry => {
+        active = active.filter(other => other.run.end > entry.run.time);
+        active.forEach(other => {
+          if (other.jobId === entry.jobId) return;
+          other.run.conflicts.add(entry.jobId);
+          entry.run.conflicts.add(other.jobId);
+        });
+        active.push(entry);
+      });
+    });
+
+    let overlapCount = 0;
+    rows.forEach(row => row.runs.forEach(run => {
+      run.conflicts = [...run.conflicts];
+      if (run.conflicts.length > 0) overlapCount++;
+    }));
+
+    return { rows, overlapCount };
+  }
+
+  // Axis ticks on the wall clock of tz (browser time when null): [{ time, wall }]
+  // wall is the wall-clock time encoded as UTC, so format it with timeZone: 'UTC'
+  static ticks(from, until, tz, stepHours) {
+    const stepMs = stepHours * 3600000;
+    const wallFrom = CronExpression.toWallTime(from, tz);
+    const dayStart = Math.floor(wallFrom / 86400000) * 86400000;
+    const ticks = [];
+
+    for (let wall = dayStart + Math.ceil((wallFrom - dayStart) / stepMs) * stepMs; ; wall += stepMs) {
+      const time = CronExpression.fromWallTime(wall, tz);
+      if (time >= until) break;
+      // A tick in the hour skipped by a DST change lands on the next one
+      if (ticks.length && time <= ticks[ticks.length - 1].time) continue;
+      ticks.push({ time, wall });
+    }
+    return ticks;
+  }
+}
@@ -0,0 +1,268 @@
+// Markdown for assistant messages: code blocks with highlighting, lists, tables, quotes, links
+// Every piece of source text is escaped before it is wrapped in markup, and no raw HTML from the
+// message is ever passed through, so the output is as safe as escapeHtml()
+
+class MarkdownRenderer {
+  static SAFE_URL = /^(https?:|mailto:)/i;
+  static KEYWORDS = new Set([
+    // JavaScript / TypeScript
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do', 'else',
+    'export', 'extends', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'interface', 'let',
+    'new', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'try', 'type', 'typeof', 'var', 'void',
+    'while', 'yield', 'true', 'false', 'null', 'undefined',
+    // Python
+    'and', 'as', 'def', 'elif', 'except', 'from', 'global', 'is', 'lambda', 'not', 'or', 'pass', 'raise',
+    'with', 'None', 'True', 'False', 'self',
+    // Shell
+    'then', 'fi', 'done', 'esac', 'echo', 'exit', 'local',
+    // Go / Rust / others
+    'fn', 'func', 'go', 'impl', 'match', 'mod', 'mut', 'package', 'pub', 'struct', 'trait', 'use', 'enum', 'where'
+  ]);
+  static HASH_COMMENTS = new Set(['python', 'py', 'bash', 'sh', 'shell', 'zsh', 'yaml', 'yml', 'toml', 'ruby', 'rb', 'perl', 'r', 'dockerfile', 'make', 'ini', 'conf']);
+
+  static escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  static render(source) {
+    const lines = String(source ?? '').replace(/\r\n?/g, '\n').split('\n');
+    return MarkdownRenderer.renderBlocks(lines);
+  }
+
+  static renderBlocks(lines) {
+    const html = [];
+    let paragraph = [];
+    const flush = () => {
+      if (paragraph.length) html.push(`<p>${paragraph.map(l => MarkdownRenderer.renderInline(l.trim())).join('<br>')}</p>`);
+      paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Fenced code: runs to the closing fence, or to the end while a reply is still incomplete
+      const fence = line.match(/^\s*(```+|~~~+)\s*([\w#+.-]*)/);
+      if (fence) {
+        flush();
+        const body = [];
+        for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) body.push(lines[i]);
+        html.push(MarkdownRenderer.renderCode(body.join('\n'), fence[2].toLowerCase()));
+        continue;
+      }
+
+      if (!line.trim()) {
+        flush();
+        continue;
+      }
+
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        flush();
+        const level = heading[1].length;
+        html.push(`<h${level}>${MarkdownRenderer.renderInline(heading[2])}</h${level}>`);
+        continue;
+      }
+
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flush();
+        html.push('<hr>');
+        continue;
+      }
+
+      if (/^\s{0,3}>/.test(line)) {
+        flush();
+        const quoted = [];
+        for (; i < lines.length && /^\s{0,3}>/.test(lines[i]); i++) quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+        i--;
+        html.push(`<blockquote>${MarkdownRenderer.renderBlocks(quoted)}</blockquote>`);
+        continue;
+      }
+
+      if (MarkdownRenderer.isTableStart(lines, i)) {
+        flush();
+        const rows = [];
+        for (; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) rows.push(lines[i]);
+        i--;
+        html.push(MarkdownRenderer.renderTable(rows));
+        continue;
+      }
+
+      if (MarkdownRenderer.listMarker(line)) {
+        flush();
+        const first = MarkdownRenderer.listMarker(line);
+        const block = [];
+        // A list runs until a blank line followed by something that isn't indented or another item
+        for (; i < lines.length; i++) {
+          const next = lines[i];
+          if (!next.trim()) {
+            const after = lines[i + 1];
+            if (after && (/^\s+\S/.test(after) || MarkdownRenderer.listMarker(after))) {
+              block.push(next);
+              continue;
+            }
+            break;
+          }
+          const marker = MarkdownRenderer.listMarker(next);
+          if (block.length && !/^\s/.test(next) && !marker && !block[block.length - 1].trim()) break;
+          // Switching between bullets and numbers starts a new list
+          if (marker && marker.indent <= first.indent && marker.ordered !== first.ordered) break;
+          block.push(next);
+        }
+        i--;
+        html.push(MarkdownRenderer.renderList(block));
+        continue;
+      }
+
+      paragraph.push(line);
+    }
+
+    flush();
+    return html.join('');
+  }
+
+  // { indent, ordered, start, content } for a list item line
+  static listMarker(line) {
+    const match = line.match(/^(\s*)([-*+]|(\d{1,9})[.)])\s+(.*)$/);
+    if (!match) return null;
+    return { indent: match[1].length, ordered: match[3] != null, start: match[3] != null ? Number(match[3]) : null, content: match[4] };
+  }
+
+  static renderList(lines) {
+    const first = MarkdownRenderer.listMarker(lines[0]);
+    const items = [];
+    lines.forEach(line => {
+      const marker = MarkdownRenderer.listMarker(line);
+      if (marker && marker.indent <= first.indent) {
+        items.push([marker.content]);
+      } else if (items.length) {
+        // Continuation or nested content, dedented to the item's body
+        items[items.length - 1].push(line.slice(Math.min(line.length - line.trimStart().length, first.indent + 2)));
+      }
+    });
+
+    const tag = first.ordered ? 'ol' : 'ul';
+    const start = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+    return `<${tag}${start}>${items.map(([head, ...rest]) => {
+      const task = head.match(/^\[([ xX])\]\s+(.*)$/);
+      const label = task
+        ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ${MarkdownRenderer.renderInline(task[2])}`
+        : MarkdownRenderer.renderInline(head);
+      const body = rest.some(l => l.trim()) ? MarkdownRenderer.renderBlocks(rest) : '';
+      return `<li${task ? ' class="md-task"' : ''}>${label}${body}</li>`;
+    }).join('')}</${tag}>`;
+  }
+
+  static splitRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  static isTableStart(lines, i) {
+    if (!lines[i].includes('|') || i + 1 >= lines.length) return false;
+    return /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1]) && lines[i + 1].includes('-');
+  }
+
+  static renderTable(rows) {
+    const header = MarkdownRenderer.splitRow(rows[0]);
+    const aligns = MarkdownRenderer.splitRow(rows[1]).map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+      if (cell.endsWith(':')) return 'right';
+      return null;
+    });
+    const cell = (tag, text, col) => `<${tag}${aligns[col] ? ` style="text-align: ${aligns[col]}"` : ''}>${MarkdownRenderer.renderInline(text)}</${tag}>`;
+
+    return `<div class="md-table"><table>
+      <thead><tr>${header.map((text, col) => cell('th', text, col)).join('')}</tr></thead>
+      <tbody>${rows.slice(2).map(row => {
+        const cells = MarkdownRenderer.splitRow(row);
+        return `<tr>${header.map((_, col) => cell('td', cells[col] ?? '', col)).join('')}</tr>`;
+      }).join('')}</tbody>
+    </table></div>`;
+  }
+
+  static renderCode(code, lang) {
+    return `<div class="md-code">
+      <div class="md-code-header">
+        <span>${MarkdownRenderer.escape(lang || 'text')}</span>
+        <button class="md-copy" type="button" title="Copy code">📋 Copy</button>
+      </div>
+      <pre><code>${MarkdownRenderer.highlight(code, lang)}</code></pre>
+    </div>`;
+  }
+
+  // Tokenize comments, strings, numbers and keywords; everything is escaped token by token
+  static highlight(code, lang) {
+    if (!lang || lang === 'text' || lang === 'plain') return MarkdownRenderer.escape(code);
+    const hash = MarkdownRenderer.HASH_COMMENTS.has(lang);
+    const comment = hash ? '#[^\\n]*' : '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/|<!--[\\s\\S]*?-->|--\\s[^\\n]*';
+    const pattern = new RegExp(
+      `(${comment})|("(?:[^"\\\\\\n]|\\\\.)*"|'(?:[^'\\\\\\n]|\\\\.)*'|\`(?:[^\`\\\\]|\\\\.)*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)`,
+      'g'
+    );
+
+    let html = '';
+    let last = 0;
+    code.replace(pattern, (match, commentTok, stringTok, numberTok, word, offset) => {
+      html += MarkdownRenderer.escape(code.slice(last, offset));
+      last = offset + match.length;
+      let cls = null;
+      if (commentTok) cls = 'tok-comment';
+      else if (stringTok) cls = 'tok-string';
+      else if (numberTok) cls = 'tok-number';
+      else if (MarkdownRenderer.KEYWORDS.has(word)) cls = 'tok-keyword';
+      html += cls ? `<span class="${cls}">${MarkdownRenderer.escape(match)}</span>` : MarkdownRenderer.escape(match);
+      return match;
+    });
+    return html + MarkdownRenderer.escape(code.slice(last));
+  }
+
+  static renderInline(text) {
+    // Code spans first so their contents stay literal, then escape, then inline markup
+    const codes = [];
+    let out = text.replace(/[\u0000\u0001]/g, '').replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => {
+      codes.push(`<code>${MarkdownRenderer.escape(code.trim())}</code>`);
+      return `\u0000${codes.length - 1}\u0000`;
+    });
+    out = MarkdownRenderer.escape(out);
+
+    const links = [];
+    const link = (label, url) => {
+      const href = MarkdownRenderer.safeUrl(url);
+      links.push(href
+        ? `<a href="${href}" target="_blank" rel="noopener noreferrer nofollow">${label}</a>`
+        : label);
+      return `\u0001${links.length - 1}\u0001`;
+    };
+    out = out.replace(/\[([^\]]+)\]\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;[^&]*&quot;)?\s*\)/g, (m, label, url) => link(label, url));
+    out = out.replace(/&lt;((?:https?:\/\/|mailto:)[^\s&]+)&gt;/g, (m, url) => link(url, url));
+    out = out.replace(/(^|[\s(])((?:https?:\/\/)[^\s<\u0000\u0001]*[^\s<.,;:!?)\u0000\u0001])/g, (m, lead, url) => lead + link(url, url));
+
+    out = out
+      .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?!\*)/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    // Links go back in after emphasis so underscores and asterisks in URLs are left alone
+    return out
+      .replace(/\u0001(\d+)\u0001/g, (m, i) => links[i])
+      .replace(/\u0000(\d+)\u0000/g, (m, i) => codes[i]);
+  }
+
+  // url arrives escaped; decode it to check the scheme, then escape it again for the attribute
+  static safeUrl(escapedUrl) {
+    const url = escapedUrl
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+    if (!MarkdownRenderer.SAFE_URL.test(url.trim())) return null;
+    return MarkdownRenderer.escape(url.trim());
+  }
+}
@@ -0,0 +1,82 @@
+// Promise wrapper around the portal's IndexedDB database
+// Used for data that can't live in localStorage (CryptoKeys, larger records)
+
+class PortalDB {
+  static NAME = 'ether-portal';
+  static VERSION = 3;
+  // Object store name -> createObjectStore() options
+  static STORES = {
+    keys: {},
+    outbox: { keyPath: 'id' },
+    transcripts: { keyPath: 'id' }
+  };
+
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  isSupported() {
+    return 'indexedDB' in window;
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(PortalDB.NAME, PortalDB.VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(PortalDB.STORES).forEach(([name, options]) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, options);
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+    return this.dbPromise;
+  }
+
+  async run(storeName, mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  get(storeName, key) {
+    return this.run(storeName, 'readonly', store => store.get(key));
+  }
+
+  getAll(storeName) {
+    return this.run(storeName, 'readonly', store => store.getAll());
+  }
+
+  put(storeName, value, key) {
+    return this.run(storeName, 'readwrite', store => store.put(value, key));
+  }
+
+  delete(storeName, key) {
+    return this.run(storeName, 'readwrite', store => store.delete(key));
+  }
+
+  // Drop the whole database (used by "Reset Portal")
+  async destroy() {
+    if (this.dbPromise) {
+      (await this.dbPromise.catch(() => null))?.close();
+      this.dbPromise = null;
+    }
+    return new Promise((resolve) => {
+      const request = indexedDB.deleteDatabase(PortalDB.NAME);
+      request.onsuccess = request.onerror = request.onblocked = () => resolve();
+    });
+  }
+}
+
+window.portalDb = new PortalDB();
@@ -0,0 +1,179 @@
+// Saved gateway connection profiles
+// Each profile holds everything needed to configure a GatewayClient;
+// gateway tokens are kept separately in the vault
+
+class ProfileStore {
+  static STORAGE_KEY = 'ether-portal-profiles';
+  static LEGACY_KEY = 'ether-portal-config';
+  static DEFAULT_PORT = 18789;
+
+  constructor() {
+    this.profiles = [];
+    this.defaultId = null;
+    this.activeId = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(ProfileStore.STORAGE_KEY) || 'null');
+      if (saved) {
+        // Fill in fields added since the profile was saved
+        this.profiles = (saved.profiles || []).map(p => ({ ...p, ...this.normalize(p) }));
+        this.defaultId = saved.defaultId || null;
+        this.migrateInlineTokens();
+      } else {
+        this.migrateLegacyConfig();
+      }
+    } catch (e) {
+      console.warn('[Profiles] Failed to load profiles:', e);
+    }
+  }
+
+  // Turn the old single `ether-portal-config` entry into the first profile
+  migrateLegacyConfig() {
+    const legacy = localStorage.getItem(ProfileStore.LEGACY_KEY);
+    if (!legacy) return;
+
+    const config = JSON.parse(legacy);
+    if (config.host) {
+      const profile = this.create({ name: config.host, ...config });
+      if (config.token) localStorage.setItem(ProfileStore.tokenKey(profile.id), config.token);
+      const deviceToken = localStorage.getItem('ether-portal-device-token');
+      if (deviceToken) {
+        localStorage.setItem(GatewayClient.deviceTokenKey(profile.id), deviceToken);
+        localStorage.removeItem('ether-portal-device-token');
+      }
+    }
+    localStorage.removeItem(ProfileStore.LEGACY_KEY);
+  }
+
+  // Profiles used to store their token inline
+  migrateInlineTokens() {
+    const inline = this.profiles.filter(p => p.token);
+    if (inline.length === 0) return;
+    inline.forEach(p => {
+      localStorage.setItem(ProfileStore.tokenKey(p.id), p.token);
+      delete p.token;
+    });
+    this.save();
+  }
+
+  static tokenKey(profileId) {
+    return `ether-portal-profile-token:${profileId}`;
+  }
+
+  save() {
+    localStorage.setItem(ProfileStore.STORAGE_KEY, JSON.stringify({
+      profiles: this.profiles,
+      defaultId: this.defaultId
+    }));
+  }
+
+  normalize(data) {
+    const host = (data.host || '').trim();
+    return {
+      name: (data.name || '').trim() || host || 'Unnamed gateway',
+      host,
+      port: parseInt(data.port) || ProfileStore.DEFAULT_PORT,
+      useTls: !!data.useTls,
+      autoReconnect: data.autoReconnect ?? true,
+      // Reconnection policy
+      maxReconnectAttempts: Math.max(1, parseInt(data.maxReconnectAttempts) || 10),
+      reconnectJitter: data.reconnectJitter ?? true,
+      keepTrying: data.keepTrying ?? true,
+      keepTryingSeconds: Math.max(5, parseInt(data.keepTryingSeconds) || 60),
+      reconnectOnNetwork: data.reconnectOnNetwork ?? true,
+      reconnectOnFocus: data.reconnectOnFocus ?? true
+    };
+  }
+
+  get(id) {
+    return this.profiles.find(p => p.id === id) || null;
+  }
+
+  getDefault() {
+    return this.get(this.defaultId) || this.profiles[0] || null;
+  }
+
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  create(data) {
+    const profile = {
+      id: `profile_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      ...this.normalize(data)
+    };
+    this.profiles.push(profile);
+    if (!this.defaultId) this.defaultId = profile.id;
+    this.save();
+    return profile;
+  }
+
+  update(id, data) {
+    const profile = this.get(id);
+    if (!profile) return null;
+    Object.assign(profile, this.normalize({ ...profile, ...data }));
+    this.save();
+    return profile;
+  }
+
+  async remove(id) {
+    this.profiles = this.profiles.filter(p => p.id !== id);
+    if (this.defaultId === id) this.defaultId = this.profiles[0]?.id || null;
+    if (this.activeId === id) this.activeId = null;
+    this.save();
+
+    // Leftover encrypted entries are harmless if the vault is locked
+    await vault.remove(ProfileStore.tokenKey(id)).catch(() => {});
+    await vault.remove(GatewayClient.deviceTokenKey(id)).catch(() => {});
+  }
+
+  getToken(id) {
+    return vault.get(ProfileStore.tokenKey(id)) || '';
+  }
+
+  async setToken(id, token) {
+    const value = (token || '').trim();
+    if (value) {
+      await vault.set(ProfileStore.tokenKey(id), value);
+    } else {
+      await vault.remove(ProfileStore.tokenKey(id));
+    }
+  }
+
+  // Device tokens are bound to the device identity, so they go when it changes
+  async clearDeviceTokens() {
+    const keys = [null, ...this.profiles.map(p => p.id)].map(id => GatewayClient.deviceTokenKey(id));
+    for (const key of keys) {
+      await vault.remove(key);
+    }
+  }
+
+  setDefault(id) {
+    if (!this.get(id)) return;
+    this.defaultId = id;
+    this.save();
+  }
+
+  // Config object for GatewayClient.configure()
+  toConfig(profile) {
+    return {
+      profileId: profile.id,
+      host: profile.host,
+      port: profile.port,
+      token: this.getToken(profile.id),
+      useTls: profile.useTls,
+      autoReconnect: profile.autoReconnect,
+      maxReconnectAttempts: profile.maxReconnectAttempts,
+      reconnectJitter: profile.reconnectJitter,
+      keepTrying: profile.keepTrying,
+      keepTryingSeconds: profile.keepTryingSeconds,
+      reconnectOnNetwork: profile.reconnectOnNetwork,
+      reconnectOnFocus: profile.reconnectOnFocus
+    };
+  }
+}
+
+window.profiles = new ProfileStore();
@@ -0,0 +1,123 @@
+// Durable outbox for write actions made while the gateway is unreachable
+// Items live in IndexedDB and are replayed in order after the next hello-ok
+
+class RequestQueue {
+  static STORE = 'outbox';
+
+  constructor(db) {
+    this.db = db;
+    this.items = [];
+    this.loaded = null;
+    this.replaying = false;
+    this.listeners = new Set();
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.db.getAll(RequestQueue.STORE)
+        .then(items => {
+          // Anything caught mid-send when the page closed goes back in line
+          this.items = items
+            .map(item => item.status === 'sending' ? { ...item, status: 'queued' } : item)
+            .sort((a, b) => a.createdAt - b.createdAt);
+          this.notify();
+        })
+        .catch(err => console.warn('[Queue] Failed to load outbox:', err));
+    }
+    return this.loaded;
+  }
+
+  list(profileId) {
+    return this.items.filter(item => item.profileId === (profileId || null));
+  }
+
+  async enqueue({ profileId, method, params }) {
+    await this.load();
+    const item = {
+      id: params.idempotencyKey,
+      profileId: profileId || null,
+      method,
+      params,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      createdAt: Date.now()
+    };
+    this.items.push(item);
+    await this.db.put(RequestQueue.STORE, item);
+    console.log(`[Queue] Queued ${method} (${item.id})`);
+    this.notify();
+    return item;
+  }
+
+  async cancel(id) {
+    const item = this.items.find(i => i.id === id);
+    if (!item || item.status === 'sending') return false;
+    await this.remove(id);
+    return true;
+  }
+
+  async retry(id) {
+    const item = this.items.find(i => i.id === id);
+    if (item) await this.update(item, { status: 'queued', error: null });
+  }
+
+  async update(item, changes) {
+    Object.assign(item, changes);
+    await this.db.put(RequestQueue.STORE, item);
+    this.notify();
+  }
+
+  async remove(id) {
+    this.items = this.items.filter(i => i.id !== id);
+    await this.db.delete(RequestQueue.STORE, id);
+    this.notify();
+  }
+
+  // Send queued items for the client's profile one at a time, stopping if the link drops again
+  async replay(client) {
+    await this.load();
+    if (this.replaying) return;
+    this.replaying = true;
+
+    try {
+      for (const item of this.list(client.config.profileId)) {
+        if (item.status !== 'queued' || !this.items.includes(item)) continue;
+        if (!client.isConnected()) break;
+
+        await this.update(item, { status: 'sending', attempts: item.attempts + 1 });
+        try {
+          const result = await client.send(item.method, item.params);
+          await this.remove(item.id);
+          client.emit('queue_sent', { item, result });
+        } catch (err) {
+          if (!client.isConnected()) {
+            await this.update(item, { status: 'queued' });
+            break;
+          }
+          await this.update(item, { status: 'failed', error: err.message });
+          client.emit('queue_failed', { item, error: err.message });
+        }
+      }
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.items);
+      } catch (e) {
+        console.error('[Queue] Listener error:', e);
+      }
+    });
+  }
+}
+
+window.requestQueue = new RequestQueue(window.portalDb);
@@ -0,0 +1,134 @@
+// Ring buffer of protocol frames for the Settings > Protocol inspector
+// Secrets (tokens, signatures) are redacted before a frame is stored
+
+class TrafficRecorder {
+  static CAPACITY = 500;
+  static REDACTED = '[redacted]';
+  static MAX_DATA_LENGTH = 1024;
+
+  constructor(capacity = TrafficRecorder.CAPACITY) {
+    this.capacity = capacity;
+    this.entries = [];
+    this.seq = 0;
+    this.paused = false;
+    this.outstanding = new Map(); // Request id -> { time, method } for latency
+    this.lastPingAt = null;
+    this.listeners = new Set();
+  }
+
+  record(direction, frame, size) {
+    if (this.paused) return null;
+
+    const now = Date.now();
+    const entry = {
+      seq: ++this.seq,
+      time: now,
+      direction,
+      kind: frame?.type || 'unknown',
+      method: null,
+      id: frame?.id || null,
+      size,
+      latencyMs: null,
+      ok: null,
+      frame: TrafficRecorder.redact(frame)
+    };
+
+    if (entry.kind === 'req') {
+      entry.method = frame.method;
+      this.outstanding.set(frame.id, { time: now, method: frame.method });
+      // Requests that never got an answer shouldn't pile up
+      if (this.outstanding.size > this.capacity) {
+        this.outstanding.delete(this.outstanding.keys().next().value);
+      }
+    } else if (entry.kind === 'res') {
+      const request = this.outstanding.get(frame.id);
+      this.outstanding.delete(frame.id);
+      entry.method = request?.method || null;
+      entry.latencyMs = request ? now - request.time : null;
+      entry.ok = frame.ok !== false;
+    } else if (entry.kind === 'event') {
+      entry.method = frame.event;
+    } else if (entry.kind === 'ping') {
+      this.lastPingAt = now;
+    } else if (entry.kind === 'pong' && this.lastPingAt) {
+      entry.latencyMs = now - this.lastPingAt;
+      this.lastPingAt = null;
+    }
+
+    this.entries.push(entry);
+    if (this.entries.length > this.capacity) this.entries.shift();
+    this.notify(entry);
+    return entry;
+  }
+
+  clear() {
+    this.entries = [];
+    this.outstanding.clear();
+    this.notify(null);
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.notify(null);
+  }
+
+  // filter: { text, kind } - kind is 'all', 'req', 'res', 'event', 'heartbeat' or 'error'
+  query({ text = '', kind = 'all' } = {}) {
+    const q = text.toLowerCase().trim();
+    return this.entries.filter(entry => {
+      if (kind === 'heartbeat' && entry.kind !== 'ping' && entry.kind !== 'pong') return false;
+      if (kind === 'error' && entry.ok !== false) return false;
+      if (!['all', 'heartbeat', 'error'].includes(kind) && entry.kind !== kind) return false;
+      return !q || (entry.method || '').toLowerCase().includes(q) || (entry.id || '').toLowerCase().includes(q);
+    });
+  }
+
+  export(meta = {}) {
+    return {
+      exportedAt: new Date().toISOString(),
+      ...meta,
+      capacity: this.capacity,
+      entries: this.entries
+    };
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(entry) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(entry);
+      } catch (e) {
+        console.error('[Traffic] Listener error:', e);
+      }
+    });
+  }
+
+  static redact(frame) {
+    if (!frame || typeof frame !== 'object') return frame;
+    const copy = JSON.parse(JSON.stringify(frame));
+    const auth = copy.params?.auth || copy.payload?.auth;
+    if (auth) {
+      Object.keys(auth).forEach(key => { auth[key] = TrafficRecorder.REDACTED; });
+    }
+    if (copy.params?.device?.signature) copy.params.device.signature = TrafficRecorder.REDACTED;
+    TrafficRecorder.elideData(copy);
+    return copy;
+  }
+
+  // Attachment payloads (base64 `data` fields) would keep megabytes per entry alive
+  static elideData(value) {
+    if (!value || typeof value !== 'object') return;
+    Object.keys(value).forEach(key => {
+      const item = value[key];
+      if (key === 'data' && typeof item === 'string' && item.length > TrafficRecorder.MAX_DATA_LENGTH) {
+        value[key] = `[${item.length} characters of data]`;
+      } else {
+        TrafficRecorder.elideData(item);
+      }
+    });
+  }
+}
@@ -0,0 +1,177 @@
+// Session transcripts as downloadable Markdown, JSON or self-contained HTML
+// The whole history is fetched page by page; tool calls are included on request
+
+class TranscriptExport {
+  static PAGE_SIZE = 100;
+  static MAX_PAGES = 500;
+  static FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown', label: 'Markdown' },
+    json: { extension: 'json', mimeType: 'application/json', label: 'JSON' },
+    html: { extension: 'html', mimeType: 'text/html', label: 'HTML' }
+  };
+
+  // Every message of a session, oldest first.
+  // fetchPage(sessionKey, { cursor } | { before } | {}) resolves with a sessions.history result;
+  // cancelling is up to fetchPage, whose rejection ends the whole fetch
+  static async fetchAll(sessionKey, fetchPage, { onPage = () => {} } = {}) {
+    const messages = [];
+    let params = {};
+    for (let page = 0; page < TranscriptExport.MAX_PAGES; page++) {
+      const result = ChatHistoryCache.page(await fetchPage(sessionKey, params), TranscriptExport.PAGE_SIZE);
+      messages.unshift(...result.messages);
+      onPage(messages.length);
+      if (!result.older) break;
+      params = result.older;
+    }
+    return messages;
+  }
+
+  static fileName(session, format) {
+    const slug = (session.key || 'session').replace(/[^\w.+-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 100);
+    return `${slug}.${TranscriptExport.FORMATS[format].extension}`;
+  }
+
+  // { fileName, mimeType, content }
+  static build(session, messages, { format = 'markdown', includeTools = false, exportedAt = new Date() } = {}) {
+    const transcript = TranscriptExport.transcript(session, messages, includeTools);
+    const content = format === 'json'
+      ? JSON.stringify({ ...transcript.meta, messages: includeTools ? messages : TranscriptExport.withoutTools(messages) }, null, 2)
+      : format === 'html'
+        ? TranscriptExport.toHtml(transcript, exportedAt)
+        : TranscriptExport.toMarkdown(transcript, exportedAt);
+    return { fileName: TranscriptExport.fileName(session, format), mimeType: TranscriptExport.FORMATS[format].mimeType, content };
+  }
+
+  static withoutTools(messages) {
+    const toolParts = ['tool_use', 'toolCall', 'tool_result', 'toolResult'];
+    return messages
+      .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+      .map(msg => Array.isArray(msg.content) ? { ...msg, content: msg.content.filter(part => !toolParts.includes(part.type)) } : msg);
+  }
+
+  // Normalized turns: { role, timestamp, model, text, attachments, tools }
+  static transcript(session, messages, includeTools) {
+    const tools = includeTools ? ToolTranscript.index(messages) : new Map();
+    const turns = [];
+    messages.forEach(msg => {
+      if (msg.role !== 'user' && msg.role !== 'assistant') return;
+      const content = Array.isArray(msg.content) ? msg.content : [];
+      const text = TranscriptSearch.messageText(msg);
+      const attachments = content
+        .filter(part => part.type === 'image' || part.type === 'file' || part.type === 'document')
+        .map(part => part.fileName || part.filename || part.name || part.type);
+      const calls = ToolTranscript.calls(msg).map(call => tools.get(call.id)).filter(Boolean);
+      if (!text.trim() && attachments.length === 0 && calls.length === 0) return;
+      turns.push({
+        role: msg.role,
+        timestamp: msg.timestamp ?? null,
+        model: msg.model ? (msg.provider && !msg.model.includes('/') ? `${msg.provider}/${msg.model}` : msg.model) : null,
+        text,
+        attachments,
+        tools: calls
+      });
+    });
+
+    return {
+      meta: {
+        sessionKey: session.key,
+        kind: session.kind || null,
+        model: session.model || null,
+        updatedAt: session.updatedAt ? new Date(session.updatedAt).toISOString() : null,
+        messageCount: messages.length
+      },
+      turns
+    };
+  }
+
+  static formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '';
+  }
+
+  static formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  }
+
+  static toMarkdown({ meta, turns }, exportedAt) {
+    const fence = (text) => {
+      const ticks = '`'.repeat(Math.max(3, ...[...text.matchAll(/`+/g)].map(m => m[0].length + 1)));
+      return `${ticks}\n${text}\n${ticks}`;
+    };
+    const lines = [
+      `# Transcript: ${meta.sessionKey}`,
+      '',
+      ...(meta.model ? [`- Model: ${meta.model}`] : []),
+      `- Messages: ${meta.messageCount}`,
+      `- Exported: ${exportedAt.toISOString()}`,
+      ''
+    ];
+    turns.forEach(turn => {
+      const details = [TranscriptExport.formatTime(turn.timestamp), turn.model].filter(Boolean).join(' · ');
+      lines.push(`## ${turn.role === 'user' ? '👤 User' : '🤖 Assistant'}${details ? ` — ${details}` : ''}`, '');
+      if (turn.text.trim()) lines.push(turn.text.trim(), '');
+      turn.attachments.forEach(name => lines.push(`📎 _${name}_`, ''));
+      turn.tools.forEach(tool => {
+        const status = tool.status === 'error' ? 'failed' : tool.status === 'pending' ? 'no result' : 'ok';
+        const duration = tool.durationMs != null ? `, ${(tool.durationMs / 1000).toFixed(1)}s` : '';
+        lines.push(`<details><summary>🔧 ${MarkdownRenderer.escape(tool.name)} (${status}${duration})</summary>`, '');
+        if (tool.args != null) lines.push('Arguments:', '', fence(TranscriptExport.formatValue(tool.args)), '');
+        if (tool.hasResult) lines.push(tool.isError ? 'Error:' : 'Output:', '', fence(TranscriptExport.formatValue(tool.output ?? '')), '');
+        lines.push('</details>', '');
+      });
+    });
+    return lines.join('\n');
+  }
+
+  static toHtml({ meta, turns }, exportedAt) {
+    const escape = MarkdownRenderer.escape;
+    const body = turns.map(turn => `
+  <section class="turn ${turn.role}">
+    <header>${turn.role === 'user' ? '👤 User' : '🤖 Assistant'}<span>${escape([TranscriptExport.formatTime(turn.timestamp), turn.model].filter(Boolean).join(' · '))}</span></header>
+    ${turn.text.trim() ? (turn.role === 'assistant' ? `<div class="markdown">${MarkdownRenderer.render(turn.text)}</div>` : `<div class="plain">${escape(turn.text)}</div>`) : ''}
+    ${turn.attachments.map(name => `<p class="attachment">📎 ${escape(name)}</p>`).join('')}
+    ${turn.tools.map(tool => `
+    <details class="tool ${tool.status}">
+      <summary>🔧 <code>${escape(tool.name)}</code>${tool.durationMs != null ? ` <span>${(tool.durationMs / 1000).toFixed(1)}s</span>` : ''}${tool.status === 'error' ? ' <span>failed</span>' : ''}</summary>
+      ${tool.args != null ? `<h4>Arguments</h4><pre>${escape(TranscriptExport.formatValue(tool.args))}</pre>` : ''}
+      ${tool.hasResult ? `<h4>${tool.isError ? 'Error' : 'Output'}</h4><pre>${escape(TranscriptExport.formatValue(tool.output ?? ''))}</pre>` : ''}
+    </details>`).join('')}
+  </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Transcript: ${escape(meta.sessionKey)}</title>
+<style>
+  body { max-width: 860px; margin: 0 auto; padding: 24px; background: #0a0a0f; color: #e8e8f0; font: 15px/1.6 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+  h1 { font-size: 20px; word-break: break-all; }
+  .meta { color: #a0a0b0; font-size: 13px; margin-bottom: 24px; }
+  .turn { margin: 0 0 16px; padding: 14px 18px; border-radius: 14px; background: #1a1a24; border: 1px solid #2a2a3a; }
+  .turn.user { background: #2a1d4a; border-color: #4c2f8f; }
+  .turn header { display: flex; justify-content: space-between; gap: 12px; font-weight: 600; font-size: 13px; margin-bottom: 8px; }
+  .turn header span { font-weight: normal; color: #a0a0b0; }
+  .plain { white-space: pre-wrap; word-wrap: break-word; }
+  .attachment { color: #a0a0b0; font-size: 13px; }
+  pre { background: #0a0a0f; padding: 10px 12px; border-radius: 8px; overflow-x: auto; font-size: 13px; white-space: pre-wrap; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+  a { color: #8b5cf6; }
+  table { border-collapse: collapse; } th, td { border: 1px solid #2a2a3a; padding: 4px 8px; }
+  blockquote { margin: 0; padding-left: 12px; border-left: 3px solid #3a3a4a; color: #a0a0b0; }
+  .md-copy { display: none; }
+  .md-code-header { color: #606070; font-size: 11px; }
+  .tok-keyword { color: #c792ea; } .tok-string { color: #c3e88d; } .tok-number { color: #f78c6c; } .tok-comment { color: #606070; font-style: italic; }
+  .tool { margin-top: 10px; padding: 8px 12px; background: #151520; border-left: 3px solid #22c55e; border-radius: 8px; font-size: 13px; }
+  .tool.error { border-left-color: #ef4444; } .tool.pending { border-left-color: #f59e0b; }
+  .tool summary { cursor: pointer; } .tool summary span { color: #a0a0b0; }
+  .tool h4 { margin: 8px 0 4px; font-size: 11px; color: #a0a0b0; font-weight: normal; }
+</style>
+</head>
+<body>
+  <h1>Transcript: ${escape(meta.sessionKey)}</h1>
+  <p class="meta">${[meta.model ? `Model: ${escape(meta.model)}` : null, `${meta.messageCount} messages`, `Exported ${escape(exportedAt.toISOString())}`].filter(Boolean).join(' · ')}</p>${body}
+</body>
+</html>
+`;
+  }
+}
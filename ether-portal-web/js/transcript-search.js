@@ -0,0 +1,204 @@
+// Full-text search over session transcripts, for gateways without sessions.search
+// Each session's history is fetched once (again when the session changes) and kept in IndexedDB
+
+class TranscriptSearch {
+  static STORE = 'transcripts';
+  static PAGE_SIZE = 100;
+  static MAX_PAGES = 50; // Per session - older messages than that are not indexed
+  static MAX_TEXT = 4000; // Characters kept per message
+  static MAX_RESULTS = 100;
+  static SNIPPET_RADIUS = 70;
+
+  constructor() {
+    this.scope = null;
+    this.docs = new Map(); // sessionKey -> { id, scope, sessionKey, updatedAt, indexedAt, messages }
+  }
+
+  // Lowercase without accents, one character per character so positions still line up
+  static fold(text) {
+    let folded = '';
+    for (const unit of text.split('')) {
+      const f = unit.normalize('NFD')[0].toLowerCase();
+      folded += f.length === 1 ? f : unit;
+    }
+    return folded;
+  }
+
+  // "quoted phrases" must match as written, other words anywhere in the message
+  static parseQuery(query) {
+    const phrases = [];
+    const rest = query.replace(/"([^"]+)"/g, (_, phrase) => {
+      phrases.push(TranscriptSearch.fold(phrase.trim()));
+      return ' ';
+    });
+    const terms = TranscriptSearch.fold(rest).split(/\s+/).filter(Boolean);
+    return { phrases: phrases.filter(Boolean), terms };
+  }
+
+  static messageText(message) {
+    const content = message.content ?? message.text;
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.filter(part => part.type === 'text' || (!part.type && part.text)).map(part => part.text || '').join('\n');
+  }
+
+  // [start, end) ranges of every term and phrase in `text`, merged
+  static highlightRanges(text, parsed) {
+    const folded = TranscriptSearch.fold(text);
+    const ranges = [];
+    [...parsed.phrases, ...parsed.terms].forEach(needle => {
+      let index = folded.indexOf(needle);
+      while (index !== -1 && ranges.length < 200) {
+        ranges.push([index, index + needle.length]);
+        index = folded.indexOf(needle, index + needle.length);
+      }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+      else merged.push([...range]);
+      return merged;
+    }, []);
+  }
+
+  // A window of text around the first match: { text, ranges } with ranges relative to the window
+  static snippet(text, parsed) {
+    const ranges = TranscriptSearch.highlightRanges(text, parsed);
+    const radius = TranscriptSearch.SNIPPET_RADIUS;
+    const first = ranges[0]?.[0] ?? 0;
+    let start = Math.max(0, first - radius);
+    let end = Math.min(text.length, first + radius * 2);
+    // Don't cut words in half
+    if (start > 0) start = text.lastIndexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.indexOf(' ', end) === -1 ? text.length : text.indexOf(' ', end);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const window = text.slice(start, end).replace(/\s+/g, ' ');
+    // Whitespace was collapsed, so match again inside the window
+    const shifted = TranscriptSearch.highlightRanges(window, parsed).map(([a, b]) => [a + prefix.length, b + prefix.length]);
+    return { text: `${prefix}${window}${suffix}`, ranges: shifted };
+  }
+
+  // Results from the gateway's sessions.search, in the same shape as search()
+  static fromServer(result, query) {
+    const parsed = TranscriptSearch.parseQuery(query);
+    const matches = result?.results || result?.matches || [];
+    return matches.map(match => {
+      const text = String(match.snippet ?? match.text ?? TranscriptSearch.messageText(match));
+      return {
+        sessionKey: match.sessionKey || match.key,
+        messageId: match.messageId || match.id || null,
+        role: match.role || null,
+        timestamp: match.timestamp ?? match.ts ?? null,
+        snippet: text.length > TranscriptSearch.SNIPPET_RADIUS * 4 ? TranscriptSearch.snippet(text, parsed) : { text, ranges: TranscriptSearch.highlightRanges(text, parsed) }
+      };
+    }).filter(match => match.sessionKey);
+  }
+
+  async load(scope) {
+    if (this.scope === scope) return;
+    this.scope = scope;
+    this.docs = new Map();
+    try {
+      const docs = await portalDb.getAll(TranscriptSearch.STORE);
+      docs.filter(doc => doc.scope === scope).forEach(doc => this.docs.set(doc.sessionKey, doc));
+    } catch (e) {
+      console.warn('[Search] Could not load the saved index:', e);
+    }
+  }
+
+  // Fetch and index every session whose transcript changed since it was last indexed.
+  // fetchPage(sessionKey, { cursor } | { before } | {}) resolves with a sessions.history result
+  async indexSessions(scope, sessions, fetchPage, { signal = null, onProgress = () => {} } = {}) {
+    await this.load(scope);
+    const stale = sessions.filter(session => {
+      const doc = this.docs.get(session.key);
+      return !doc || !session.updatedAt || session.updatedAt > doc.updatedAt;
+    });
+
+    for (let i = 0; i < stale.length; i++) {
+      if (signal?.aborted) return;
+      const session = stale[i];
+      onProgress(i, stale.length, session.key);
+      const messages = [];
+      let params = {};
+      for (let page = 0; page < TranscriptSearch.MAX_PAGES; page++) {
+        const result = ChatHistoryCache.page(await fetchPage(session.key, params), TranscriptSearch.PAGE_SIZE);
+        messages.unshift(...result.messages);
+        if (!result.older) break;
+        params = result.older;
+      }
+      await this.store({
+        id: `${scope}|${session.key}`,
+        scope,
+        sessionKey: session.key,
+        updatedAt: session.updatedAt || Date.now(),
+        indexedAt: Date.now(),
+        messages: messages
+          .filter(msg => msg.role === 'user' || msg.role === 'assistant')
+          .map(msg => ({
+            id: msg.id || msg.messageId || null,
+            role: msg.role,
+            timestamp: msg.timestamp ?? null,
+            text: TranscriptSearch.messageText(msg).slice(0, TranscriptSearch.MAX_TEXT)
+          }))
+          .filter(msg => msg.text.trim())
+      });
+    }
+    onProgress(stale.length, stale.length, null);
+  }
+
+  // Newest first among equally good matches
+  search(query, limit = TranscriptSearch.MAX_RESULTS) {
+    const parsed = TranscriptSearch.parseQuery(query);
+    const needles = [...parsed.phrases, ...parsed.terms];
+    if (needles.length === 0) return [];
+    const results = [];
+
+    this.docs.forEach(doc => {
+      doc.messages.forEach(msg => {
+        const folded = TranscriptSearch.fold(msg.text);
+        if (!needles.every(needle => folded.includes(needle))) return;
+        const phraseBonus = parsed.terms.length > 1 && folded.includes(parsed.terms.join(' ')) ? 5 : 0;
+        results.push({
+          sessionKey: doc.sessionKey,
+          messageId: msg.id,
+          role: msg.role,
+          timestamp: msg.timestamp,
+          score: needles.length + phraseBonus,
+          snippet: TranscriptSearch.snippet(msg.text, parsed)
+        });
+      });
+    });
+
+    return results
+      .sort((a, b) => (b.score - a.score) || (new Date(b.timestamp || 0) - new Date(a.timestamp || 0)))
+      .slice(0, limit);
+  }
+
+  get size() {
+    return [...this.docs.values()].reduce((sum, doc) => sum + doc.messages.length, 0);
+  }
+
+  // Any profile's index can be cleared, not just the loaded one
+  async clear(scope) {
+    if (this.scope === scope) this.docs.clear();
+    const docs = await portalDb.getAll(TranscriptSearch.STORE).catch(() => []);
+    await Promise.all(docs
+      .filter(doc => doc.scope === scope)
+      .map(doc => portalDb.delete(TranscriptSearch.STORE, doc.id).catch(() => {})));
+  }
+
+  // Internals
+  async store(doc) {
+    this.docs.set(doc.sessionKey, doc);
+    try {
+      await portalDb.put(TranscriptSearch.STORE, doc);
+    } catch (e) {
+      // Still searchable for this visit
+      console.warn('[Search] Could not save the index:', e);
+    }
+  }
+}
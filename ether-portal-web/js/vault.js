@@ -0,0 +1,250 @@
+// Passphrase-protected storage for gateway tokens and device tokens
+// When the vault is off, secrets stay in localStorage under their own keys as before
+
+class SecretVault {
+  static STORAGE_KEY = 'ether-portal-vault';
+  static SESSION_KEY = 'ether-portal-vault-key';
+  static SECRET_PREFIXES = ['ether-portal-device-token', 'ether-portal-profile-token'];
+  static ITERATIONS = 250000;
+  static CHECK_VALUE = 'ether-portal-vault';
+
+  constructor() {
+    this.key = null;
+    this.secrets = null; // Decrypted secrets while unlocked
+    this.idleMinutes = 15;
+    this.idleTimer = null;
+    this.listeners = new Set();
+  }
+
+  isSupported() {
+    return !!(window.isSecureContext && window.crypto?.subtle);
+  }
+
+  isEnabled() {
+    return !!localStorage.getItem(SecretVault.STORAGE_KEY);
+  }
+
+  isLocked() {
+    return this.isEnabled() && !this.secrets;
+  }
+
+  getState() {
+    if (!this.isEnabled()) return 'off';
+    return this.secrets ? 'unlocked' : 'locked';
+  }
+
+  static isSecretKey(name) {
+    return SecretVault.SECRET_PREFIXES.some(prefix => name.startsWith(prefix));
+  }
+
+  // Secret access - returns null while locked
+  get(name) {
+    if (!this.isEnabled()) return localStorage.getItem(name);
+    return this.secrets?.[name] ?? null;
+  }
+
+  async set(name, value) {
+    if (!this.isEnabled()) {
+      localStorage.setItem(name, value);
+      return;
+    }
+    if (this.isLocked()) throw new Error('Vault is locked');
+    this.secrets[name] = value;
+    await this.persist();
+  }
+
+  async remove(name) {
+    if (!this.isEnabled()) {
+      localStorage.removeItem(name);
+      return;
+    }
+    if (this.isLocked()) throw new Error('Vault is locked');
+    delete this.secrets[name];
+    await this.persist();
+  }
+
+  // Move every plaintext secret into a new vault
+  async enable(passphrase) {
+    if (this.isEnabled()) throw new Error('Vault is already enabled');
+    if (!passphrase) throw new Error('Passphrase required');
+
+    const secrets = {};
+    Object.keys(localStorage).filter(SecretVault.isSecretKey).forEach(name => {
+      secrets[name] = localStorage.getItem(name);
+    });
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    this.key = await this.deriveKey(passphrase, salt, SecretVault.ITERATIONS);
+    this.secrets = secrets;
+    await this.persist({
+      salt: SecretVault.toBase64(salt),
+      iterations: SecretVault.ITERATIONS,
+      check: await this.encrypt(SecretVault.CHECK_VALUE)
+    });
+
+    Object.keys(secrets).forEach(name => localStorage.removeItem(name));
+    await this.rememberKey();
+    this.touch();
+    this.notify();
+  }
+
+  // Write secrets back to plaintext localStorage and drop the vault
+  async disable() {
+    if (this.isLocked()) throw new Error('Unlock the vault first');
+    Object.entries(this.secrets || {}).forEach(([name, value]) => localStorage.setItem(name, value));
+    localStorage.removeItem(SecretVault.STORAGE_KEY);
+    this.clearKey();
+    this.notify();
+  }
+
+  async unlock(passphrase) {
+    const record = this.readRecord();
+    if (!record) throw new Error('Vault is not enabled');
+
+    const key = await this.deriveKey(passphrase, SecretVault.fromBase64(record.salt), record.iterations);
+    await this.open(key, record);
+    await this.rememberKey();
+    this.touch();
+    this.notify();
+  }
+
+  // Pick up a key unlocked earlier in this browser session
+  async restoreSession() {
+    const raw = sessionStorage.getItem(SecretVault.SESSION_KEY);
+    const record = this.readRecord();
+    if (!raw || !record) return false;
+
+    try {
+      const key = await crypto.subtle.importKey('raw', SecretVault.fromBase64(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+      await this.open(key, record);
+      this.touch();
+      this.notify();
+      return true;
+    } catch (e) {
+      console.warn('[Vault] Session key no longer valid:', e);
+      sessionStorage.removeItem(SecretVault.SESSION_KEY);
+      return false;
+    }
+  }
+
+  lock() {
+    if (!this.isEnabled() || !this.secrets) return;
+    this.clearKey();
+    console.log('[Vault] Locked');
+    this.notify();
+  }
+
+  // Wipe the vault and its session key (used by "Reset Portal")
+  destroy() {
+    this.clearKey();
+    localStorage.removeItem(SecretVault.STORAGE_KEY);
+  }
+
+  // Restart the idle timer - called on user activity
+  touch() {
+    if (this.idleTimer) clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    if (!this.secrets || !this.isEnabled() || !this.idleMinutes) return;
+    this.idleTimer = setTimeout(() => this.lock(), this.idleMinutes * 60000);
+  }
+
+  setIdleMinutes(minutes) {
+    this.idleMinutes = minutes;
+    this.touch();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (e) {
+        console.error('[Vault] Listener error:', e);
+      }
+    });
+  }
+
+  // Internals
+  readRecord() {
+    try {
+      return JSON.parse(localStorage.getItem(SecretVault.STORAGE_KEY) || 'null');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async open(key, record) {
+    this.key = key;
+    try {
+      if (await this.decrypt(record.check) !== SecretVault.CHECK_VALUE) throw new Error();
+      this.secrets = record.secrets ? JSON.parse(await this.decrypt(record.secrets)) : {};
+    } catch (e) {
+      this.key = null;
+      this.secrets = null;
+      throw new Error('Wrong passphrase');
+    }
+  }
+
+  async persist(base = this.readRecord()) {
+    localStorage.setItem(SecretVault.STORAGE_KEY, JSON.stringify({
+      ...base,
+      secrets: await this.encrypt(JSON.stringify(this.secrets))
+    }));
+  }
+
+  // The derived key is kept in sessionStorage so reloads in this tab don't ask again;
+  // it is gone when the tab closes or the vault locks
+  async rememberKey() {
+    const raw = await crypto.subtle.exportKey('raw', this.key);
+    sessionStorage.setItem(SecretVault.SESSION_KEY, SecretVault.toBase64(raw));
+  }
+
+  clearKey() {
+    if (this.idleTimer) clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.key = null;
+    this.secrets = null;
+    sessionStorage.removeItem(SecretVault.SESSION_KEY);
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async encrypt(text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, new TextEncoder().encode(text));
+    return { iv: SecretVault.toBase64(iv), data: SecretVault.toBase64(data) };
+  }
+
+  async decrypt(payload) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: SecretVault.fromBase64(payload.iv) },
+      this.key,
+      SecretVault.fromBase64(payload.data)
+    );
+    return new TextDecoder().decode(data);
+  }
+
+  static toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  }
+
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  }
+}
+
+window.vault = new SecretVault();
@@ -0,0 +1,86 @@
+// Minimal zip archive builder for bulk downloads - files are stored uncompressed
+// (transcripts are small and every unzip tool reads stored entries)
+
+class ZipWriter {
+  static CRC_TABLE = null;
+
+  constructor() {
+    this.files = []; // { name (bytes), data (bytes), crc, time, date }
+  }
+
+  static crc32(bytes) {
+    if (!ZipWriter.CRC_TABLE) {
+      ZipWriter.CRC_TABLE = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        ZipWriter.CRC_TABLE[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = ZipWriter.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // MS-DOS time and date fields
+  static dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  add(name, content, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    this.files.push({ name: encoder.encode(name), data, crc: ZipWriter.crc32(data), ...ZipWriter.dosDateTime(modified) });
+  }
+
+  toBlob() {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    this.files.forEach(file => {
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true); // Version needed
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true); // Stored
+      local.setUint16(10, file.time, true);
+      local.setUint16(12, file.date, true);
+      local.setUint32(14, file.crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, file.name.length, true);
+      parts.push(local.buffer, file.name, file.data);
+
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true);
+      header.setUint16(4, 20, true); // Version made by
+      header.setUint16(6, 20, true);
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, file.time, true);
+      header.setUint16(14, file.date, true);
+      header.setUint32(16, file.crc, true);
+      header.setUint32(20, file.data.length, true);
+      header.setUint32(24, file.data.length, true);
+      header.setUint16(28, file.name.length, true);
+      header.setUint32(42, offset, true);
+      central.push(header.buffer, file.name);
+
+      offset += 30 + file.name.length + file.data.length;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.files.length, true);
+    end.setUint16(10, this.files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: 'application/zip' });
+  }
+}